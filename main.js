@@ -1,529 +1,4892 @@
-const { Plugin, Notice, PluginSettingTab, Setting, requestUrl, moment, normalizePath } = require('obsidian');
+const { Plugin, Notice, Modal, ItemView, MarkdownRenderChild, MarkdownRenderer, PluginSettingTab, Setting, requestUrl, moment, normalizePath } = require('obsidian');
+
+const VIEW_TYPE_WOTD = 'wotd-view';
+
+const VOCABULARY_MARKER = '%% wotd %%';
+
+const VOCABULARY_END_MARKER = '%% /wotd %%';
+
+const PLACEMENTS = {
+  end: 'End of note',
+  top: 'Top of note (below the title)',
+  frontmatter: 'Right after frontmatter',
+  heading: 'Under a heading'
+};
+
+const SCHEDULES = {
+  daily: 'Every day',
+  weekdays: 'Weekdays only',
+  days: 'Selected days',
+  weekly: 'Once a week (weekly note)'
+};
+
+const LEGACY_VOCABULARY_HEADER = '> [!QUOTE] Vocabulary';
+
+const DEFAULT_OUTPUT_TEMPLATE = `> [!QUOTE] Vocabulary
+{{#words}}
+> 
+{{#newLanguage}}
+> **{{language}}{{#typeName}} · {{typeName}}{{/typeName}}:**
+{{/newLanguage}}
+> **{{link}}**{{#pronunciation}} {{pronunciation}}{{/pronunciation}}{{#partOfSpeech}} *({{partOfSpeech}})*{{/partOfSpeech}}{{#gender}} · {{gender}}{{/gender}}
+{{#inflection}}
+> *Forms:* {{inflection}}
+{{/inflection}}
+{{#readings}}
+> *Readings:* {{readings}}
+{{/readings}}
+{{#strokes}}
+> *Strokes:* {{strokes}}
+{{/strokes}}
+{{#pattern}}
+> *Pattern:* {{pattern}}
+{{/pattern}}
+> 
+> *Definition:* {{definition}}
+{{#literal}}
+> *Literally:* {{literal}}
+{{/literal}}
+{{#usage}}
+> *Usage:* {{usage}}
+{{/usage}}
+{{#explanation}}
+> 
+> *Explanation:* {{explanation}}
+{{/explanation}}
+> 
+> *Example:* {{example}}
+{{#translation}}
+> *Translation:* {{translation}}
+{{/translation}}
+{{#drills}}
+> 
+> *Drills:* {{drills}}
+{{/drills}}
+{{#compounds}}
+> 
+> *Common words:* {{compounds}}
+{{/compounds}}
+{{#synonyms}}
+> 
+> *Synonyms:* {{synonyms}}
+{{/synonyms}}
+{{#antonyms}}
+> 
+> *Antonyms:* {{antonyms}}
+{{/antonyms}}
+{{#etymology}}
+> 
+> *Etymology:* {{etymology}}
+{{/etymology}}
+{{#feedbackEnabled}}
+> 
+{{/feedbackEnabled}}
+{{#feedback}}
+> - [ ] {{label}} {{marker}}
+{{/feedback}}
+{{/words}}`;
 
 const DEFAULT_SETTINGS = {
   provider: 'claude',
   claudeApiKey: '',
   openaiApiKey: '',
   geminiApiKey: '',
+  customBaseUrl: 'http://localhost:11434',
+  customApiKey: '',
+  customModel: '',
   claudeModel: 'claude-3-haiku-20240307',
   openaiModel: 'gpt-3.5-turbo',
   geminiModel: 'gemini-pro',
   availableModels: {
     claude: [],
     openai: [],
-    gemini: []
+    gemini: [],
+    custom: []
   },
   autoAppend: true,
+  placement: 'end',
+  placementHeading: 'Vocabulary',
+  weeklyNoteFolder: 'Weekly',
+  weeklyNoteFormat: 'gggg-[W]ww',
   temperature: 0.9,
-  wordHistoryLimit: 100,
-  wordHistory: {},
+  structuredOutput: true,
+  fallbackProviders: [],
+  maxRetries: 2,
+  requestTimeout: 60,
+  usage: {},
+  modelPrices: null,
+  monthlyBudget: 0,
+  budgetAction: 'stop',
+  budgetModel: '',
+  maxRepairAttempts: 2,
+  reviewEnabled: true,
+  dueReviewInDailyNote: false,
+  reviewItems: {},
+  wordNotesEnabled: false,
+  wordNotesFolder: 'Vocabulary',
+  outputTemplate: '',
+  promptTemplate: '',
+  nativeLanguage: 'English',
+  wordBankMode: 'off',
+  wordBankFolder: 'Word Bank',
+  prefetchTomorrow: false,
+  wordCache: {},
+  quizLength: 10,
+  quizAiDistractors: false,
+  quizSummaryToDailyNote: true,
+  quizStats: {},
+  adaptiveDifficulty: false,
+  adaptiveThreshold: 3,
+  feedbackCheckboxes: false,
+  difficultyLog: [],
   languages: [
-    { name: 'English', difficulty: 'Fluent', enabled: true },
+    { name: 'English', scale: 'general', difficulty: 'Fluent', enabled: true, fields: [], topics: [], nativeLanguage: '', instructions: '', provider: '', model: '', wordsPerDay: 1, schedule: 'daily', days: [], contentType: 'word' },
   ]
 };
 
-module.exports = class WOTDPlugin extends Plugin {
-  async onload() {
-    await this.loadSettings();
-    this.addSettingTab(new WOTDSettingsTab(this.app, this));
-    this._fetchingWords = false;
+const PROVIDER_LABELS = {
+  claude: 'Claude',
+  openai: 'OpenAI',
+  gemini: 'Gemini',
+  custom: 'custom endpoint'
+};
 
-    this.addCommand({
-      id: 'word-of-the-day-fetch',
-      name: 'Fetch words for all languages',
-      callback: async () => {
-        const markdownText = await this.fetchAllWordsOfTheDay();
-        if (markdownText) {
-          await this.appendWordsToDailyNote(markdownText);
-        }
-      }
-    });
+const DEFAULT_PROMPT_VARIATIONS = [
+  {
+    intro: 'Generate a word of the day for each of the following languages and difficulty levels:',
+    task: 'For each language, provide:\n1. A word appropriate for the specified difficulty level\n2. A clear, concise definition\n3. An example sentence using the word',
+    emphasis: 'IMPORTANT: Do NOT use any of the previously used words listed above. Generate completely new and different words.'
+  },
+  {
+    intro: 'Please provide a vocabulary word for each language below with the specified proficiency level:',
+    task: 'For each language, include:\n1. An appropriate word matching the difficulty level\n2. A concise definition\n3. A practical example sentence',
+    emphasis: 'CRITICAL: Avoid all previously used words mentioned above. Choose fresh, unique vocabulary.'
+  },
+  {
+    intro: 'Create daily vocabulary entries for these languages at the given difficulty levels:',
+    task: 'Each entry should contain:\n1. A word suited to the specified difficulty\n2. A straightforward definition\n3. An illustrative example sentence',
+    emphasis: 'NOTE: The words listed above have been used before. Select completely different vocabulary items.'
+  },
+  {
+    intro: 'Supply a new vocabulary word for each of these language/difficulty combinations:',
+    task: 'Provide for each:\n1. A word matching the difficulty specification\n2. A clear definition\n3. A contextual example sentence',
+    emphasis: 'ESSENTIAL: Do not reuse any words from the previously used list above. Pick entirely new words.'
+  }
+].map(variation => `${variation.intro}
+{{languages}}
+{{#history}}
 
-    this.registerEvent(this.app.workspace.on("file-open", async (file) => {
-      if (this.settings.autoAppend && file && this.isDailyNoteFile(file)) {
-        if (this._fetchingWords) {
-          return;
-        }
+Previously used words to AVOID:
+{{history}}
+{{/history}}
 
-        const content = await this.app.vault.read(file);
-        if (!content.includes("> [!QUOTE] Vocabulary")) {
-          this._fetchingWords = true;
-          try {
-            const markdownText = await this.fetchAllWordsOfTheDay();
-            if (markdownText) {
-              await this.appendToDailyNote(file, markdownText);
-            }
-          } finally {
-            this._fetchingWords = false;
-          }
-        }
-      }
-    }));
-  }
+${variation.task}
 
-  async onunload() {
-  }
+${variation.emphasis}
 
-  async loadSettings() {
-    this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
-  }
+Difficulty guidelines:
+{{guidelines}}
 
-  async saveSettings() {
-    await this.saveData(this.settings);
-  }
+{{schema}}
 
-  getActiveApiKey() {
-    switch(this.settings.provider) {
-      case 'claude':
-        return this.settings.claudeApiKey;
-      case 'openai':
-        return this.settings.openaiApiKey;
-      case 'gemini':
-        return this.settings.geminiApiKey;
-      default:
-        return null;
-    }
+Make sure the words are interesting, useful, and appropriate for language learners at the specified level. Vary the types of words (nouns, verbs, adjectives, etc.) for variety.{{problems}}`);
+
+const LEVEL_SCALES = {
+  general: {
+    name: 'General',
+    defaultLevel: 'Intermediate',
+    levels: [
+      { key: 'Beginner', guidance: 'Common everyday words, simple meanings' },
+      { key: 'Intermediate', guidance: 'Less common but useful words, moderate complexity' },
+      { key: 'Advanced', guidance: 'Sophisticated vocabulary, nuanced meanings' },
+      { key: 'Fluent', guidance: 'Rare, literary, or highly specialized words' }
+    ]
+  },
+  cefr: {
+    name: 'CEFR',
+    defaultLevel: 'B1',
+    levels: [
+      { key: 'A1', guidance: 'Very basic words for greetings, family, numbers and immediate needs' },
+      { key: 'A2', guidance: 'Frequent words for shopping, work, local area and routine tasks' },
+      { key: 'B1', guidance: 'Words for familiar topics such as travel, work, school and leisure, including simple abstract ideas' },
+      { key: 'B2', guidance: 'Words for concrete and abstract topics, technical discussion in your field and nuanced opinions' },
+      { key: 'C1', guidance: 'Precise, less frequent words and idiomatic expressions for academic and professional use' },
+      { key: 'C2', guidance: 'Rare, literary and highly nuanced words a near-native speaker would know' }
+    ]
+  },
+  jlpt: {
+    name: 'JLPT',
+    defaultLevel: 'N3',
+    levels: [
+      { key: 'N5', guidance: 'Basic vocabulary written in hiragana, katakana and the simplest kanji' },
+      { key: 'N4', guidance: 'Everyday vocabulary used in familiar daily situations' },
+      { key: 'N3', guidance: 'Vocabulary for everyday situations and simple written material such as headlines' },
+      { key: 'N2', guidance: 'Vocabulary found in newspapers, magazines and general conversation at natural speed' },
+      { key: 'N1', guidance: 'Advanced vocabulary from editorials, literature and abstract or specialised writing' }
+    ]
+  },
+  hsk: {
+    name: 'HSK',
+    defaultLevel: 'HSK 3',
+    levels: [
+      { key: 'HSK 1', guidance: 'The 150 most basic words for simple phrases and immediate needs' },
+      { key: 'HSK 2', guidance: 'Basic words (about 300) for simple, direct exchanges on familiar topics' },
+      { key: 'HSK 3', guidance: 'Core words (about 600) for daily life, study and work' },
+      { key: 'HSK 4', guidance: 'Words (about 1,200) for discussing a wide range of topics fluently' },
+      { key: 'HSK 5', guidance: 'Words (about 2,500) for reading newspapers and giving full speeches' },
+      { key: 'HSK 6', guidance: 'Words (5,000 and more) for understanding and expressing complex written and spoken Chinese' }
+    ]
   }
+};
 
-  addWordToHistory(language, word) {
-    if (!this.settings.wordHistory) {
-      this.settings.wordHistory = {};
-    }
+const WORD_FIELDS = ['language', 'word', 'definition', 'example'];
 
-    if (!this.settings.wordHistory[language]) {
-      this.settings.wordHistory[language] = [];
-    }
+const DEFAULT_MODEL_PRICES = {
+  'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gemini-pro': { input: 0.5, output: 1.5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 }
+};
 
-    if (!this.settings.wordHistory[language].includes(word.toLowerCase())) {
-      this.settings.wordHistory[language].push(word.toLowerCase());
+const BUDGET_ACTIONS = {
+  stop: 'Stop automatic generation',
+  wordbank: 'Use the offline word bank',
+  cheaper: 'Switch to a cheaper model'
+};
 
-      const limit = this.settings.wordHistoryLimit || 100;
-      if (this.settings.wordHistory[language].length > limit) {
-        this.settings.wordHistory[language] = this.settings.wordHistory[language].slice(-limit);
-      }
-    }
-  }
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
 
-  getWordHistory(language) {
-    if (!this.settings.wordHistory || !this.settings.wordHistory[language]) {
-      return [];
-    }
-    return this.settings.wordHistory[language];
-  }
+const NETWORK_ERROR_PATTERN = /net::ERR_|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|failed to fetch|network error/i;
 
-  async fetchClaudeModels() {
-    try {
-      const response = await requestUrl({
-        url: 'https://api.anthropic.com/v1/models',
-        method: 'GET',
-        headers: {
-          'x-api-key': this.settings.claudeApiKey,
-          'anthropic-version': '2023-06-01'
-        }
-      });
+const RETRY_BASE_DELAY = 1000;
 
-      const models = response.json.data
-        .map(model => model.id)
-        .filter(id => id.includes('claude'));
+const MAX_RETRY_AFTER = 60 * 1000;
 
-      this.settings.availableModels.claude = models;
-      await this.saveSettings();
-      return models;
-    } catch (error) {
-      console.error('Failed to fetch Claude models:', error);
-      new Notice('Failed to fetch Claude models. Using default.');
-      return ['claude-3-haiku-20240307', 'claude-3-sonnet-20240229', 'claude-3-opus-20240229'];
-    }
+const OPTIONAL_WORD_FIELDS = [
+  { key: 'partOfSpeech', name: 'Part of speech', frontmatter: 'part_of_speech', prompt: 'part of speech (noun, verb, adjective, ...)', sample: 'part of speech' },
+  { key: 'pronunciation', name: 'Pronunciation (IPA)', frontmatter: 'pronunciation', prompt: 'IPA pronunciation between slashes', sample: '/IPA pronunciation/' },
+  { key: 'gender', name: 'Gender / article', frontmatter: 'gender', prompt: 'grammatical gender or article (empty if the language has none)', sample: 'gender or article' },
+  { key: 'inflection', name: 'Plural / conjugation', frontmatter: 'inflection', prompt: 'plural form or key conjugation hints', sample: 'plural or conjugation hints' },
+  { key: 'etymology', name: 'Etymology', frontmatter: 'etymology', prompt: 'a one-sentence etymology', sample: 'short etymology' },
+  { key: 'synonyms', name: 'Synonyms', frontmatter: 'synonyms', prompt: 'two or three synonyms, comma separated', sample: 'synonym, synonym' },
+  { key: 'antonyms', name: 'Antonyms', frontmatter: 'antonyms', prompt: 'two or three antonyms, comma separated', sample: 'antonym, antonym' },
+  { key: 'translation', name: 'Example translation', frontmatter: 'translation', prompt: 'a translation of the example sentence into {{nativeLanguage}}', sample: 'translation of the example' }
+];
+
+const CONTENT_TYPES = {
+  word: {
+    name: 'Word',
+    plural: 'words',
+    prompt: '',
+    fields: []
+  },
+  idiom: {
+    name: 'Idiom / expression',
+    folder: 'Idioms',
+    plural: 'idioms or expressions',
+    prompt: 'Give an idiom or fixed expression instead of a single word: put the expression in "word", its meaning in "definition" and a natural sentence using it in "example"',
+    fields: [
+      { key: 'literal', name: 'Literal meaning', frontmatter: 'literal', prompt: 'a word-for-word translation into {{nativeLanguage}}', sample: 'literal translation' },
+      { key: 'usage', name: 'Usage', frontmatter: 'usage', prompt: 'when it is used and in what register', sample: 'usage note' }
+    ]
+  },
+  grammar: {
+    name: 'Grammar point',
+    folder: 'Grammar',
+    plural: 'grammar points',
+    prompt: 'Give a grammar point instead of a word: put the pattern or structure in "word", a one-line summary in "definition" and a sentence using it in "example"',
+    fields: [
+      { key: 'explanation', name: 'Explanation', frontmatter: 'explanation', prompt: 'a short explanation in {{nativeLanguage}} of how it is formed and used', sample: 'short explanation' },
+      { key: 'drills', name: 'Drills', frontmatter: 'drills', prompt: 'three short practice items with answers, separated by " | "', sample: 'drill → answer | drill → answer | drill → answer' }
+    ]
+  },
+  collocation: {
+    name: 'Collocation',
+    folder: 'Collocations',
+    plural: 'collocations',
+    prompt: 'Give a common collocation instead of a single word: put the collocation in "word", its meaning in "definition" and a natural sentence using it in "example"',
+    fields: [
+      { key: 'pattern', name: 'Pattern', frontmatter: 'pattern', prompt: 'the pattern it follows, e.g. verb + noun', sample: 'verb + noun' }
+    ]
+  },
+  kanji: {
+    name: 'Kanji / character',
+    folder: 'Kanji',
+    plural: 'characters',
+    prompt: 'Give a single kanji or hanzi character instead of a word: put the character in "word", its core meanings in "definition" and a sentence using a common word with it in "example"',
+    fields: [
+      { key: 'strokes', name: 'Stroke count', frontmatter: 'strokes', prompt: 'the stroke count as a number', sample: '4' },
+      { key: 'readings', name: 'Readings', frontmatter: 'readings', prompt: 'its readings (on\'yomi and kun\'yomi, or pinyin)', sample: 'readings' },
+      { key: 'compounds', name: 'Common words', frontmatter: 'compounds', prompt: 'two or three common words using it, with readings and meanings', sample: 'word (reading): meaning' }
+    ]
   }
+};
 
-  async fetchOpenAIModels() {
-    try {
-      const response = await requestUrl({
-        url: 'https://api.openai.com/v1/models',
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${this.settings.openaiApiKey}`
-        }
-      });
+const CONTENT_TYPE_FIELDS = Object.values(CONTENT_TYPES).flatMap(type => type.fields);
 
-      const models = response.json.data
-        .map(model => model.id)
-        .filter(id => id.includes('gpt'))
-        .sort();
+const MAX_OUTPUT_TOKENS = 4096;
 
-      this.settings.availableModels.openai = models;
-      await this.saveSettings();
-      return models;
-    } catch (error) {
-      console.error('Failed to fetch OpenAI models:', error);
-      new Notice('Failed to fetch OpenAI models. Using default.');
-      return ['gpt-3.5-turbo', 'gpt-4', 'gpt-4-turbo'];
-    }
-  }
+const PROMPT_OUTPUT_OVERHEAD = 500;
 
-  async fetchGeminiModels() {
-    try {
-      const response = await requestUrl({
-        url: `https://generativelanguage.googleapis.com/v1beta/models?key=${this.settings.geminiApiKey}`,
-        method: 'GET'
-      });
+const ENTRY_BASE_TOKENS = 150;
 
-      const models = response.json.models
-        .filter(model => model.supportedGenerationMethods?.includes('generateContent'))
-        .map(model => model.name.replace('models/', ''));
+const ENTRY_FIELD_TOKENS = 60;
 
-      this.settings.availableModels.gemini = models;
-      await this.saveSettings();
-      return models;
-    } catch (error) {
-      console.error('Failed to fetch Gemini models:', error);
-      new Notice('Failed to fetch Gemini models. Using default.');
-      return ['gemini-pro', 'gemini-1.5-pro', 'gemini-1.5-flash'];
-    }
-  }
+const WORD_CACHE_DAYS = 60;
 
-  async fetchAllWordsOfTheDay() {
-    const apiKey = this.getActiveApiKey();
-    
-    if (!apiKey) {
-      new Notice(`Please configure your ${this.settings.provider} API key in settings`);
-      return null;
-    }
+const HISTORY_FILE = 'history.json';
 
-    const enabledLanguages = this.settings.languages.filter(lang => lang.enabled);
-    
-    if (enabledLanguages.length === 0) {
-      new Notice('No languages enabled. Please configure in settings.');
-      return null;
-    }
+const HISTORY_COLUMNS = ['language', 'contentType', 'word', 'date', 'lastSeen', 'timesSeen', 'difficulty', 'definition', 'example']
+  .concat(OPTIONAL_WORD_FIELDS.map(field => field.key))
+  .concat(CONTENT_TYPE_FIELDS.map(field => field.key))
+  .concat(['provider', 'model', 'source']);
 
-    try {
-      const words = await this.fetchWordsFromAI(enabledLanguages);
+const QUIZ_QUESTION_TYPES = ['multiple-choice', 'word-to-definition', 'definition-to-word', 'cloze'];
 
-      if (!words || words.length === 0) {
-        return null;
-      }
+const FEEDBACK_OPTIONS = [
+  { key: 'knew', label: 'Knew it', step: 1 },
+  { key: 'learned', label: 'Learned it', step: 0 },
+  { key: 'hard', label: 'Too hard', step: -1 }
+];
 
-      words.forEach(wordData => {
-        this.addWordToHistory(wordData.language, wordData.word);
-      });
-      await this.saveSettings();
+const FEEDBACK_MARKER_PATTERN = /^[>\s]*- \[([^\]])\] .*?%% wotd-feedback:(\w+):(\S+?):(\S+?)(?::(\w+))? %%/gm;
 
-      let markdown = `> [!QUOTE] Vocabulary\n> `;
+const DIFFICULTY_LOG_LIMIT = 100;
 
-      words.forEach((wordData, index) => {
-        markdown += `\n> **${wordData.language}:**\n`;
-        markdown += `> **${wordData.word}**\n> \n`;
-        markdown += `> *Definition:* ${wordData.definition}\n> \n`;
-        markdown += `> *Example:* ${wordData.example}`;
+const HISTORY_VIEW_LIMIT = 100;
 
-        if (index < words.length - 1) {
-          markdown += '\n> ';
-        }
-      });
+const REVIEW_GRADES = [
+  { label: 'Again', quality: 1 },
+  { label: 'Hard', quality: 3 },
+  { label: 'Good', quality: 4 },
+  { label: 'Easy', quality: 5 }
+];
 
-      return markdown;
-    } catch (error) {
-      console.error('Error fetching words:', error);
-      new Notice('Error fetching words. Check console for details.');
-      return null;
+function renderTemplate(template, context) {
+  return renderTemplateSections(template.replace(/^[ \t]*(\{\{[#^\/]\w+\}\})[ \t]*\n/gm, '$1'), context);
+}
+
+function renderTemplateSections(template, context) {
+  const tagPattern = /\{\{([#^]?)(\w+)(?::([^}]+))?\}\}/g;
+  let output = '';
+  let position = 0;
+  let match;
+
+  while ((match = tagPattern.exec(template))) {
+    const [tag, type, key, format] = match;
+    output += template.slice(position, match.index);
+    position = match.index + tag.length;
+
+    if (!type) {
+      output += renderTemplateVariable(key, format, context);
+      continue;
     }
-  }
 
-  async fetchWordsFromAI(languages) {
-    switch(this.settings.provider) {
-      case 'claude':
-        return await this.fetchWordsFromClaude(languages);
-      case 'openai':
-        return await this.fetchWordsFromOpenAI(languages);
-      case 'gemini':
-        return await this.fetchWordsFromGemini(languages);
-      default:
-        throw new Error('Invalid AI provider selected');
+    const closeTag = `{{/${key}}}`;
+    const closeIndex = template.indexOf(closeTag, position);
+    if (format !== undefined || closeIndex === -1) {
+      output += tag;
+      continue;
     }
+
+    const body = template.slice(position, closeIndex);
+    position = closeIndex + closeTag.length;
+    tagPattern.lastIndex = position;
+    output += renderTemplateSection(type, body, context[key], context);
   }
 
-  async fetchWordsFromClaude(languages) {
-    const prompt = this.buildPrompt(languages);
+  return output + template.slice(position);
+}
+
+function renderTemplateSection(type, body, value, context) {
+  const isEmpty = !value || (Array.isArray(value) && value.length === 0);
 
-    try {
-      const response = await requestUrl({
-        url: 'https://api.anthropic.com/v1/messages',
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.settings.claudeApiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: this.settings.claudeModel || 'claude-3-haiku-20240307',
-          max_tokens: 1000,
-          temperature: this.settings.temperature || 0.9,
-          messages: [{
-            role: 'user',
-            content: prompt
-          }]
-        })
-      });
+  if (type === '^') {
+    return isEmpty ? renderTemplateSections(body, context) : '';
+  }
+  if (isEmpty) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value
+      .map((item, index) => renderTemplateSections(body, Object.assign({}, context, item, { index: index + 1 })))
+      .join('');
+  }
+  return renderTemplateSections(body, context);
+}
 
-      const responseData = response.json;
-      const content = responseData?.content?.[0]?.text;
+function renderTemplateVariable(key, format, context) {
+  if (key === 'date') {
+    return moment(context.date, 'YYYY-MM-DD').format(format || 'YYYY-MM-DD');
+  }
+  const value = context[key];
+  return value === undefined || value === null ? '' : String(value);
+}
 
-      if (!content) {
-        throw new Error('Invalid API response structure from Claude');
-      }
+const WORD_BANK_EXTENSIONS = ['csv', 'tsv', 'json'];
 
-      let words;
-      try {
-        words = JSON.parse(content);
-      } catch (parseError) {
-        console.error('Failed to parse Claude response as JSON:', parseError);
-        console.error('Response content:', content);
-        throw new Error('Received invalid JSON from Claude API');
-      }
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
 
-      if (!Array.isArray(words)) {
-        throw new Error('Claude API response is not an array');
-      }
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
 
-      return words;
-    } catch (error) {
-      console.error('Claude API error:', error);
-      new Notice('Failed to fetch words from Claude API. Please try again.');
-      throw error;
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
     }
   }
 
-  async fetchWordsFromOpenAI(languages) {
-    const prompt = this.buildPrompt(languages);
-
-    try {
-      const response = await requestUrl({
-        url: 'https://api.openai.com/v1/chat/completions',
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.settings.openaiApiKey}`
-        },
-        body: JSON.stringify({
-          model: this.settings.openaiModel || 'gpt-3.5-turbo',
-          messages: [{
-            role: 'user',
-            content: prompt
-          }],
-          max_tokens: 1000,
-          temperature: this.settings.temperature || 0.9
-        })
-      });
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
 
-      const responseData = response.json;
-      const content = responseData?.choices?.[0]?.message?.content;
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
 
-      if (!content) {
-        throw new Error('Invalid API response structure from OpenAI');
-      }
+function normalizeWordListKey(key) {
+  const normalized = String(key).trim().toLowerCase().replace(/[\s_-]/g, '');
+  const optionalField = OPTIONAL_WORD_FIELDS.find(field =>
+    field.key.toLowerCase() === normalized || field.frontmatter.replace(/_/g, '') === normalized
+  );
+  return optionalField ? optionalField.key : normalized;
+}
 
-      let words;
-      try {
-        words = JSON.parse(content);
-      } catch (parseError) {
-        console.error('Failed to parse OpenAI response as JSON:', parseError);
-        console.error('Response content:', content);
-        throw new Error('Received invalid JSON from OpenAI API');
-      }
+function parseWordList(text, extension) {
+  let records;
 
-      if (!Array.isArray(words)) {
-        throw new Error('OpenAI API response is not an array');
+  if (extension === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { entries: [], errors: [`Invalid JSON: ${error.message}`] };
+    }
+    if (data && !Array.isArray(data) && Array.isArray(data.words)) {
+      data = data.words;
+    }
+    if (!Array.isArray(data)) {
+      return { entries: [], errors: ['JSON word lists must be an array of objects (or an object with a "words" array)'] };
+    }
+    records = data.map(item => {
+      const record = {};
+      if (item && typeof item === 'object') {
+        Object.entries(item).forEach(([key, value]) => {
+          record[normalizeWordListKey(key)] = value;
+        });
       }
+      return record;
+    });
+  } else {
+    const rows = parseDelimited(text, extension === 'tsv' ? '\t' : ',');
+    if (rows.length === 0) {
+      return { entries: [], errors: ['The file is empty'] };
+    }
 
-      return words;
-    } catch (error) {
-      console.error('OpenAI API error:', error);
-      new Notice('Failed to fetch words from OpenAI API. Please try again.');
-      throw error;
+    const headers = rows[0].map(normalizeWordListKey);
+    const missingHeaders = WORD_FIELDS.filter(field => !headers.includes(field));
+    if (missingHeaders.length > 0) {
+      return { entries: [], errors: [`Missing column${missingHeaders.length === 1 ? '' : 's'}: ${missingHeaders.join(', ')}`] };
     }
+
+    records = rows.slice(1).map(cells => {
+      const record = {};
+      headers.forEach((header, index) => {
+        record[header] = cells[index];
+      });
+      return record;
+    });
   }
 
-  async fetchWordsFromGemini(languages) {
-    const prompt = this.buildPrompt(languages);
+  const entries = [];
+  const errors = [];
+  const rowOffset = extension === 'json' ? 1 : 2;
 
-    try {
-      const model = this.settings.geminiModel || 'gemini-pro';
-      const response = await requestUrl({
-        url: `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${this.settings.geminiApiKey}`,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            temperature: this.settings.temperature || 0.9,
-            maxOutputTokens: 1000
-          }
-        })
-      });
+  records.forEach((record, index) => {
+    const emptyFields = WORD_FIELDS.filter(field =>
+      typeof record[field] !== 'string' || record[field].trim() === ''
+    );
 
-      const responseData = response.json;
-      const content = responseData?.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (emptyFields.length > 0) {
+      errors.push(`${extension === 'json' ? 'Item' : 'Row'} ${index + rowOffset}: missing ${emptyFields.join(', ')}`);
+      return;
+    }
 
-      if (!content) {
-        throw new Error('Invalid API response structure from Gemini');
-      }
+    const entry = {
+      language: record.language.trim(),
+      word: record.word.trim(),
+      definition: record.definition.trim(),
+      example: record.example.trim(),
+      difficulty: typeof record.difficulty === 'string' ? record.difficulty.trim() : ''
+    };
 
-      const jsonMatch = content.match(/\[[\s\S]*\]/);
-      if (!jsonMatch) {
-        console.error('No JSON array found in Gemini response:', content);
-        throw new Error('Could not find JSON array in Gemini response');
+    OPTIONAL_WORD_FIELDS.forEach(field => {
+      if (typeof record[field.key] === 'string' && record[field.key].trim() !== '') {
+        entry[field.key] = record[field.key].trim();
       }
+    });
 
-      let words;
-      try {
-        words = JSON.parse(jsonMatch[0]);
+    entries.push(entry);
+  });
+
+  return { entries, errors };
+}
+
+function shuffle(items) {
+  const shuffled = items.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+const UNSPACED_SCRIPT_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const WORD_KEY_RULES = {
+  english: {
+    names: ['english'],
+    articles: ['the', 'a', 'an'],
+    plurals: [[/ies$/, 'y'], [/(ch|sh|ss|x|z)es$/, '$1'], [/([^siu])s$/, '$1']]
+  },
+  french: {
+    names: ['french', 'francais'],
+    articles: ['le', 'la', 'les', 'l\'', 'un', 'une', 'des', 'du'],
+    plurals: [[/([^s])[sx]$/, '$1']]
+  },
+  german: {
+    names: ['german', 'deutsch'],
+    articles: ['der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer', 'eines'],
+    plurals: []
+  },
+  spanish: {
+    names: ['spanish', 'espanol', 'castellano'],
+    articles: ['el', 'la', 'los', 'las', 'lo', 'un', 'una', 'unos', 'unas'],
+    plurals: [[/([^aeiou])es$/, '$1'], [/([aeiou])s$/, '$1']]
+  },
+  italian: {
+    names: ['italian', 'italiano'],
+    articles: ['il', 'lo', 'la', 'i', 'gli', 'le', 'l\'', 'un', 'uno', 'una', 'un\''],
+    plurals: []
+  },
+  portuguese: {
+    names: ['portuguese', 'portugues'],
+    articles: ['o', 'a', 'os', 'as', 'um', 'uma', 'uns', 'umas'],
+    plurals: [[/ns$/, 'm'], [/([aeiou])s$/, '$1']]
+  },
+  dutch: {
+    names: ['dutch', 'nederlands'],
+    articles: ['de', 'het', 'een'],
+    plurals: []
+  },
+  swedish: {
+    names: ['swedish', 'svenska'],
+    articles: ['en', 'ett'],
+    plurals: []
+  }
+};
+
+function getContentTypeKey(item) {
+  return item?.contentType && CONTENT_TYPES[item.contentType] ? item.contentType : 'word';
+}
+
+function getEntryKey(language, contentType = 'word') {
+  return contentType === 'word' ? language : `${language}:${contentType}`;
+}
+
+function isSameEntry(wordData, lang) {
+  return wordData.language === lang.name && getContentTypeKey(wordData) === getContentTypeKey(lang);
+}
+
+function getWordKeyRules(language) {
+  const name = String(language || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+    .split(/[\s(]/)[0];
+  return Object.values(WORD_KEY_RULES).find(rules => rules.names.includes(name)) || null;
+}
+
+function normalizeWordKey(word, language = null) {
+  const rules = getWordKeyRules(language);
+  let key = String(word || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[’]/g, '\'')
+    .trim();
+
+  for (const article of rules ? rules.articles : []) {
+    const pattern = article.endsWith('\'')
+      ? new RegExp(`^${escapeRegExp(article)}\\s*`)
+      : new RegExp(`^${escapeRegExp(article)}\\s+`);
+    if (pattern.test(key) && key.replace(pattern, '') !== '') {
+      key = key.replace(pattern, '');
+      break;
+    }
+  }
+
+  key = key.replace(/[^\p{L}\p{M}\p{N}\s'-]/gu, '').replace(/\s+/g, ' ').trim().normalize('NFC');
+
+  if (!rules || key.includes(' ')) {
+    return key;
+  }
+
+  for (const [ending, replacement] of rules.plurals) {
+    if (ending.test(key)) {
+      const stem = key.replace(ending, replacement);
+      return stem.length >= 3 ? stem : key;
+    }
+  }
+  return key;
+}
+
+function getFrontmatterEnd(content) {
+  const match = content.match(/^---\r?\n[\s\S]*?\r?\n---[ \t]*(?:\r?\n|$)/);
+  return match ? match[0].length : 0;
+}
+
+function joinBlock(before, block, after) {
+  const head = before.replace(/\s+$/, '');
+  const tail = after.replace(/^\s+/, '');
+  return `${head}${head ? '\n\n' : ''}${block}${tail ? `\n\n${tail}` : '\n'}`;
+}
+
+function findVocabularyBlock(content) {
+  let start = content.indexOf(VOCABULARY_MARKER);
+  if (start === -1) {
+    start = content.indexOf(LEGACY_VOCABULARY_HEADER);
+  }
+  if (start === -1) {
+    return null;
+  }
+  start = content.lastIndexOf('\n', start) + 1;
+
+  const endMarker = content.indexOf(VOCABULARY_END_MARKER, start);
+  if (endMarker !== -1) {
+    return { start, end: endMarker + VOCABULARY_END_MARKER.length };
+  }
+
+  const blankLine = content.slice(start).search(/\n[ \t]*(\n|$)/);
+  return { start, end: blankLine === -1 ? content.length : start + blankLine };
+}
+
+function insertVocabularyBlock(content, block, placement, heading) {
+  const bodyStart = getFrontmatterEnd(content);
+
+  if (placement === 'frontmatter') {
+    return joinBlock(content.slice(0, bodyStart), block, content.slice(bodyStart));
+  }
+
+  if (placement === 'top') {
+    const title = content.slice(bodyStart).match(/^\s*# [^\n]*(\n|$)/);
+    const offset = bodyStart + (title ? title[0].length : 0);
+    return joinBlock(content.slice(0, offset), block, content.slice(offset));
+  }
+
+  if (placement === 'heading' && heading) {
+    const text = heading.replace(/^#+\s*/, '').trim();
+    const pattern = new RegExp(`^(#{1,6})[ \t]+${escapeRegExp(text)}[ \t]*$`, 'm');
+    const match = content.slice(bodyStart).match(pattern);
+    if (!match) {
+      return joinBlock(content, `## ${text}\n\n${block}`, '');
+    }
+
+    const sectionStart = bodyStart + match.index + match[0].length;
+    const nextHeading = content.slice(sectionStart).match(new RegExp(`^#{1,${match[1].length}}[ \t]`, 'm'));
+    const sectionEnd = nextHeading ? sectionStart + nextHeading.index : content.length;
+    return joinBlock(content.slice(0, sectionEnd), block, content.slice(sectionEnd));
+  }
+
+  return joinBlock(content, block, '');
+}
+
+function toCsv(rows, columns) {
+  const escapeCell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns.map(escapeCell).join(',')]
+    .concat(rows.map(row => columns.map(column => escapeCell(row[column])).join(',')))
+    .join('\n');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function scheduleReview(item, quality, today = moment()) {
+  let { ease, interval, repetitions } = item;
+
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      interval = 1;
+    } else if (repetitions === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * ease);
+    }
+  }
+
+  ease = Math.max(1.3, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+  return Object.assign({}, item, {
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    due: moment(today).add(interval, 'days').format('YYYY-MM-DD'),
+    lastReviewed: moment(today).format('YYYY-MM-DD')
+  });
+}
+
+module.exports = class WOTDPlugin extends Plugin {
+  async onload() {
+    await this.loadSettings();
+    await this.loadHistory();
+    this.addSettingTab(new WOTDSettingsTab(this.app, this));
+    this._pendingGenerations = new Map();
+    this._structuredOutputUnsupported = new Set();
+
+    this._codeBlocks = new Set();
+
+    this.registerView(VIEW_TYPE_WOTD, (leaf) => new WordOfTheDayView(leaf, this));
+    this.registerMarkdownCodeBlockProcessor('wotd', (source, el, ctx) => {
+      ctx.addChild(new WordsCodeBlock(el, this, source, ctx.sourcePath));
+    });
+    this.addRibbonIcon('book-open', 'Open Word of the Day panel', () => this.activateView());
+
+    this.addCommand({
+      id: 'open-word-panel',
+      name: 'Open Word of the Day panel',
+      callback: () => this.activateView()
+    });
+
+    this.addCommand({
+      id: 'review-due-words',
+      name: 'Review due words',
+      callback: () => {
+        const dueItems = this.getDueReviewItems();
+        if (dueItems.length === 0) {
+          new Notice('No words are due for review');
+          return;
+        }
+        new ReviewModal(this.app, this, dueItems).open();
+      }
+    });
+
+    this.addCommand({
+      id: 'regenerate-todays-words',
+      name: 'Regenerate today\'s words',
+      callback: () => this.regenerateTodaysWords()
+    });
+
+    this.addCommand({
+      id: 'rate-todays-words',
+      name: 'Rate today\'s words',
+      callback: () => {
+        const words = this.getCachedWords(moment());
+        if (words.length === 0) {
+          new Notice('No words for today yet');
+          return;
+        }
+        new FeedbackModal(this.app, this, words).open();
+      }
+    });
+
+    this.addCommand({
+      id: 'start-vocabulary-quiz',
+      name: 'Start vocabulary quiz',
+      callback: () => {
+        if (this.getKnownWords().length === 0) {
+          new Notice('No words to quiz yet. Generate some words first.');
+          return;
+        }
+        new QuizModal(this.app, this).open();
+      }
+    });
+
+    this.addCommand({
+      id: 'export-flashcards',
+      name: 'Export flashcards',
+      callback: () => {
+        if (this.getKnownWords().length === 0) {
+          new Notice('No words to export yet. Generate some words first.');
+          return;
+        }
+        new ExportModal(this.app, this).open();
+      }
+    });
+
+    this.addCommand({
+      id: 'export-word-history',
+      name: 'Export word history',
+      callback: () => this.exportHistory('json')
+    });
+
+    this.addCommand({
+      id: 'import-word-history',
+      name: 'Import word history',
+      callback: () => this.importHistory()
+    });
+
+    this.addCommand({
+      id: 'backfill-date-range',
+      name: 'Backfill words for date range',
+      callback: () => {
+        new BackfillModal(this.app, this).open();
+      }
+    });
+
+    this.addCommand({
+      id: 'import-word-list',
+      name: 'Import word list into word bank',
+      callback: () => this.importWordList()
+    });
+
+    this.addCommand({
+      id: 'word-of-the-day-fetch',
+      name: 'Fetch words for all languages',
+      callback: async () => {
+        const markdownText = await this.fetchAllWordsOfTheDay();
+        if (markdownText) {
+          await this.appendWordsToDailyNote(markdownText);
+        }
+      }
+    });
+
+    this.addCommand({
+      id: 'fetch-weekly-words',
+      name: 'Fetch this week\'s words',
+      callback: async () => {
+        const markdownText = await this.fetchAllWordsOfTheDay(moment(), { period: 'week' });
+        if (markdownText) {
+          await this.appendWordsToDailyNote(markdownText, 'week');
+        }
+      }
+    });
+
+    this.registerEvent(this.app.workspace.on("file-open", async (file) => {
+      if (!this.settings.autoAppend || !file) {
+        return;
+      }
+
+      const period = this.isTodaysDailyNote(file) ? 'day' : this.isThisWeeksNote(file) ? 'week' : null;
+      if (period) {
+        const content = await this.app.vault.read(file);
+        if (!this.hasVocabularyBlock(content)) {
+          const markdownText = await this.fetchAllWordsOfTheDay(moment(), { automatic: true, period });
+          if (markdownText) {
+            await this.appendToDailyNote(file, markdownText);
+          }
+        }
+      }
+    }));
+
+    this.registerEvent(this.app.vault.on('modify', (file) => {
+      if (this.settings.feedbackCheckboxes && (this.isDailyNoteFile(file) || this.getNoteDate(file, 'week'))) {
+        this.syncFeedbackFromNote(file);
+      }
+    }));
+
+    this.app.workspace.onLayoutReady(() => this.prefetchTomorrow());
+    this.registerInterval(window.setInterval(() => this.prefetchTomorrow(), 60 * 60 * 1000));
+  }
+
+  async onunload() {
+  }
+
+  async activateView() {
+    const existing = this.app.workspace.getLeavesOfType(VIEW_TYPE_WOTD);
+    if (existing.length > 0) {
+      this.app.workspace.revealLeaf(existing[0]);
+      return;
+    }
+
+    const leaf = this.app.workspace.getRightLeaf(false);
+    await leaf.setViewState({ type: VIEW_TYPE_WOTD, active: true });
+    this.app.workspace.revealLeaf(leaf);
+  }
+
+  refreshViews() {
+    this.app.workspace.getLeavesOfType(VIEW_TYPE_WOTD).forEach(leaf => {
+      if (leaf.view instanceof WordOfTheDayView) {
+        leaf.view.render();
+      }
+    });
+    this._codeBlocks.forEach(block => block.render());
+  }
+
+  parseCodeBlockOptions(source) {
+    const options = { language: '', date: '', count: 0, random: false, generate: false };
+    const errors = [];
+
+    source.split('\n').forEach(line => {
+      const match = line.match(/^\s*(\w+)\s*:\s*(.*?)\s*$/);
+      if (!match) {
+        if (line.trim() !== '') {
+          errors.push(`Cannot read "${line.trim()}"`);
+        }
+        return;
+      }
+
+      const key = match[1].toLowerCase();
+      const value = match[2];
+      switch (key) {
+        case 'language':
+          options.language = value;
+          break;
+        case 'date': {
+          const date = value.toLowerCase() === 'today' ? moment() : moment(value, 'YYYY-MM-DD', true);
+          if (date.isValid()) {
+            options.date = date.format('YYYY-MM-DD');
+          } else {
+            errors.push(`"${value}" is not a YYYY-MM-DD date`);
+          }
+          break;
+        }
+        case 'count': {
+          const count = parseInt(value);
+          if (count > 0) {
+            options.count = count;
+          } else {
+            errors.push(`"${value}" is not a positive number`);
+          }
+          break;
+        }
+        case 'random':
+        case 'generate':
+          options[key] = value.toLowerCase() === 'true';
+          break;
+        default:
+          errors.push(`Unknown option "${match[1]}"`);
+      }
+    });
+
+    if (!options.date && !options.count && !options.random) {
+      options.date = moment().format('YYYY-MM-DD');
+    }
+
+    return { options, errors };
+  }
+
+  async getCodeBlockWords(options) {
+    const matchesLanguage = (wordData) =>
+      !options.language || wordData.language.toLowerCase() === options.language.toLowerCase();
+    const withNotePath = (record) => this.settings.wordNotesEnabled
+      ? Object.assign({}, record, { notePath: this.getWordNotePath(record) })
+      : record;
+
+    if (options.date) {
+      let words = this.getCachedWords(options.date);
+      if (words.length === 0 && options.generate) {
+        words = await this.getWordsForDate(moment(options.date, 'YYYY-MM-DD')) || [];
+      }
+      if (words.length === 0) {
+        words = this.getHistoryRecords().filter(record => record.date === options.date).map(withNotePath);
+      }
+      words = words.filter(matchesLanguage);
+      return options.count ? words.slice(0, options.count) : words;
+    }
+
+    const records = this.getHistoryRecords().filter(record => matchesLanguage(record) && record.definition);
+    const count = options.count || 1;
+    return (options.random ? shuffle(records).slice(0, count) : records.slice(-count).reverse()).map(withNotePath);
+  }
+
+  async loadSettings() {
+    this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+    this.settings.availableModels = Object.assign({}, DEFAULT_SETTINGS.availableModels, this.settings.availableModels);
+    this.settings.modelPrices = Object.assign({}, this.settings.modelPrices || DEFAULT_MODEL_PRICES);
+    if (this.settings.outputTemplate === DEFAULT_OUTPUT_TEMPLATE) {
+      this.settings.outputTemplate = '';
+    }
+  }
+
+  async saveSettings() {
+    await this.saveData(this.settings);
+  }
+
+  getActiveApiKey(provider = this.settings.provider) {
+    switch(provider) {
+      case 'claude':
+        return this.settings.claudeApiKey;
+      case 'openai':
+        return this.settings.openaiApiKey;
+      case 'gemini':
+        return this.settings.geminiApiKey;
+      case 'custom':
+        return this.settings.customApiKey;
+      default:
+        return null;
+    }
+  }
+
+  getCustomBaseUrl() {
+    return (this.settings.customBaseUrl || '')
+      .trim()
+      .replace(/\/+$/, '')
+      .replace(/\/v1$/, '');
+  }
+
+  getCustomHeaders() {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    if (this.settings.customApiKey) {
+      headers['Authorization'] = `Bearer ${this.settings.customApiKey}`;
+    }
+
+    return headers;
+  }
+
+  getHistoryPath() {
+    return normalizePath(`${this.manifest.dir}/${HISTORY_FILE}`);
+  }
+
+  async loadHistory() {
+    this.history = [];
+    this._historyLoadFailed = false;
+    const adapter = this.app.vault.adapter;
+    const path = this.getHistoryPath();
+
+    let contents = null;
+    try {
+      if (await adapter.exists(path)) {
+        contents = await adapter.read(path);
+        const data = JSON.parse(contents);
+        this.history = Array.isArray(data?.words) ? data.words : [];
+      }
+    } catch (error) {
+      console.error('Error loading word history:', error);
+      this._historyLoadFailed = true;
+      const backupPath = await this.backupHistoryFile(contents);
+      new Notice(backupPath
+        ? `Could not read word history. A copy was saved to ${backupPath} and history will not be saved until the plugin is reloaded`
+        : 'Could not read word history. History will not be saved until the plugin is reloaded. Check console for details.');
+      return;
+    }
+
+    await this.migrateWordHistory();
+  }
+
+  async backupHistoryFile(contents) {
+    if (contents === null) {
+      return null;
+    }
+
+    const backupPath = normalizePath(`${this.manifest.dir}/history.corrupt-${moment().format('YYYYMMDD-HHmmss')}.json`);
+    try {
+      await this.app.vault.adapter.write(backupPath, contents);
+      return backupPath;
+    } catch (error) {
+      console.error('Error backing up unreadable word history:', error);
+      return null;
+    }
+  }
+
+  async saveHistory() {
+    if (this._historyLoadFailed) {
+      console.warn('Word history was not saved because history.json could not be read');
+      return;
+    }
+
+    try {
+      await this.app.vault.adapter.write(this.getHistoryPath(), JSON.stringify({
+        version: 1,
+        words: this.history
+      }, null, 2));
+    } catch (error) {
+      console.error('Error saving word history:', error);
+      new Notice('Could not save word history. Check console for details.');
+    }
+  }
+
+  async migrateWordHistory() {
+    const legacyHistory = this.settings.wordHistory;
+    if (!legacyHistory) {
+      return;
+    }
+
+    const records = [];
+    Object.entries(legacyHistory).forEach(([language, words]) => {
+      (words || []).forEach(word => records.push({ language, word }));
+    });
+    Object.keys(this.settings.wordCache || {}).sort().forEach(date => {
+      (this.settings.wordCache[date].words || []).forEach(wordData => {
+        records.push(Object.assign({}, wordData, { date, lastSeen: date }));
+      });
+    });
+    Object.values(this.settings.reviewItems || {}).forEach(items => {
+      Object.values(items).forEach(item => records.push(this.toHistoryRecord(item, item.date)));
+    });
+
+    this.mergeHistoryRecords(records);
+    await this.saveHistory();
+
+    delete this.settings.wordHistory;
+    delete this.settings.wordHistoryLimit;
+    await this.saveSettings();
+  }
+
+  toHistoryRecord(wordData, date = null) {
+    const record = Object.assign(this.pickWordFields(wordData), {
+      date: date || wordData.date || null,
+      lastSeen: wordData.lastSeen || date || wordData.date || null,
+      timesSeen: wordData.timesSeen || 1,
+      difficulty: wordData.difficulty || null,
+      provider: wordData.provider || null,
+      model: wordData.model || null,
+      source: wordData.source || null
+    });
+
+    return record;
+  }
+
+  findHistoryRecord(language, word, contentType = null) {
+    const key = word.toLowerCase();
+    return this.history.find(record =>
+      record.language === language && record.word.toLowerCase() === key
+      && (!contentType || getContentTypeKey(record) === contentType)
+    );
+  }
+
+  mergeHistoryRecords(records) {
+    const result = { added: 0, updated: 0 };
+
+    records.forEach(incoming => {
+      if (!incoming?.language || !incoming.word) {
+        return;
+      }
+
+      const existing = this.findHistoryRecord(incoming.language, incoming.word, getContentTypeKey(incoming));
+      if (!existing) {
+        this.history.push(this.toHistoryRecord(incoming, incoming.date));
+        result.added++;
+        return;
+      }
+
+      Object.keys(incoming).forEach(key => {
+        if ((existing[key] === undefined || existing[key] === null || existing[key] === '') && incoming[key]) {
+          existing[key] = incoming[key];
+        }
+      });
+      if (incoming.date && (!existing.date || incoming.date < existing.date)) {
+        existing.date = incoming.date;
+      }
+      if (incoming.lastSeen && (!existing.lastSeen || incoming.lastSeen > existing.lastSeen)) {
+        existing.lastSeen = incoming.lastSeen;
+      }
+      existing.timesSeen = Math.max(existing.timesSeen || 1, incoming.timesSeen || 1);
+      result.updated++;
+    });
+
+    return result;
+  }
+
+  addWordsToHistory(words, date = moment()) {
+    const day = moment(date).format('YYYY-MM-DD');
+
+    words.forEach(wordData => {
+      const existing = this.findHistoryRecord(wordData.language, wordData.word, getContentTypeKey(wordData));
+      if (existing) {
+        existing.timesSeen = (existing.timesSeen || 1) + 1;
+        if (!existing.lastSeen || day > existing.lastSeen) {
+          existing.lastSeen = day;
+        }
+        return;
+      }
+
+      this.history.push(this.toHistoryRecord(wordData, day));
+    });
+  }
+
+  getWordFeedback(language, word, contentType = 'word') {
+    return this.findHistoryRecord(language, word, contentType)?.feedback || null;
+  }
+
+  async setWordFeedback(language, word, feedback, contentType = 'word', notePath = null) {
+    const record = this.findHistoryRecord(language, word, contentType);
+    const option = FEEDBACK_OPTIONS.find(item => item.key === feedback);
+    if (!record || (feedback && !option) || (record.feedback || null) === feedback) {
+      return false;
+    }
+
+    const previous = record.feedbackCounted ? FEEDBACK_OPTIONS.find(item => item.key === record.feedback) : null;
+    if (option) {
+      record.feedback = feedback;
+      record.feedbackDate = moment().format('YYYY-MM-DD');
+    } else {
+      delete record.feedback;
+      delete record.feedbackDate;
+    }
+    if (option && notePath) {
+      record.feedbackNote = notePath;
+    } else {
+      delete record.feedbackNote;
+    }
+
+    delete record.feedbackCounted;
+    const lang = this.settings.languages.find(item => isSameEntry(record, item));
+    if (lang && this.settings.adaptiveDifficulty) {
+      lang.levelProgress = (lang.levelProgress || 0) + (option ? option.step : 0) - (previous ? previous.step : 0);
+      if (option) {
+        record.feedbackCounted = true;
+      }
+      this.adjustLanguageLevel(lang);
+    }
+
+    await this.saveHistory();
+    await this.saveSettings();
+    return true;
+  }
+
+  getLevelBounds(lang) {
+    const levels = this.getLevelScale(lang).levels.map(level => level.key);
+    const min = levels.indexOf(lang.minLevel);
+    const max = levels.indexOf(lang.maxLevel);
+
+    return {
+      levels,
+      min: min === -1 ? 0 : min,
+      max: max === -1 ? levels.length - 1 : max
+    };
+  }
+
+  adjustLanguageLevel(lang) {
+    const threshold = Math.max(1, this.settings.adaptiveThreshold || 3);
+    const progress = lang.levelProgress || 0;
+    if (Math.abs(progress) < threshold) {
+      return;
+    }
+
+    const { levels, min, max } = this.getLevelBounds(lang);
+    const current = levels.indexOf(lang.difficulty);
+    lang.levelProgress = 0;
+    if (current === -1) {
+      return;
+    }
+
+    const target = Math.min(max, Math.max(min, current + (progress > 0 ? 1 : -1)));
+    if (target === current) {
+      return;
+    }
+
+    const from = lang.difficulty;
+    lang.difficulty = levels[target];
+    this.settings.difficultyLog = (this.settings.difficultyLog || []).concat({
+      date: moment().format('YYYY-MM-DD HH:mm'),
+      language: lang.name,
+      from,
+      to: lang.difficulty,
+      reason: progress > 0 ? 'words were too easy' : 'words were too hard'
+    }).slice(-DIFFICULTY_LOG_LIMIT);
+
+    new Notice(`${lang.name} difficulty ${target > current ? 'raised' : 'lowered'} to ${this.getLevelLabel(lang)}`);
+  }
+
+  getFeedbackExamples(language, feedback, limit = 5, contentType = 'word') {
+    return this.getHistoryRecords(language, contentType)
+      .filter(record => record.feedback === feedback)
+      .sort((a, b) => (a.feedbackDate || '').localeCompare(b.feedbackDate || ''))
+      .slice(-limit)
+      .map(record => record.word);
+  }
+
+  buildFeedbackCheckboxes(wordData) {
+    const contentType = getContentTypeKey(wordData);
+    const id = `${encodeURIComponent(wordData.language)}:${encodeURIComponent(wordData.word)}${contentType === 'word' ? '' : `:${contentType}`}`;
+    return FEEDBACK_OPTIONS.map(option => ({
+      label: option.label,
+      marker: `%% wotd-feedback:${option.key}:${id} %%`
+    }));
+  }
+
+  async syncFeedbackFromNote(file) {
+    try {
+      const content = await this.app.vault.cachedRead(file);
+      const items = new Map();
+
+      for (const match of content.matchAll(FEEDBACK_MARKER_PATTERN)) {
+        const language = decodeURIComponent(match[3]);
+        const word = decodeURIComponent(match[4]);
+        const contentType = match[5] || 'word';
+        const key = `${language}\n${word}\n${contentType}`;
+        if (!items.has(key)) {
+          items.set(key, { language, word, contentType, feedback: null });
+        }
+        if (match[1] !== ' ') {
+          items.get(key).feedback = match[2];
+        }
+      }
+
+      for (const item of items.values()) {
+        if (item.feedback) {
+          await this.setWordFeedback(item.language, item.word, item.feedback, item.contentType, file.path);
+        } else if (this.findHistoryRecord(item.language, item.word, item.contentType)?.feedbackNote === file.path) {
+          await this.setWordFeedback(item.language, item.word, null, item.contentType);
+        }
+      }
+    } catch (error) {
+      console.error('Error reading word feedback:', error);
+    }
+  }
+
+  isWordInHistory(language, word, contentType = 'word') {
+    const key = normalizeWordKey(word, language);
+    return this.history.some(record =>
+      record.language === language && getContentTypeKey(record) === contentType && normalizeWordKey(record.word, language) === key
+    );
+  }
+
+  getHistoryRecords(language = null, contentType = null) {
+    const records = this.history.filter(record =>
+      (!language || record.language === language) && (!contentType || getContentTypeKey(record) === contentType)
+    );
+
+    return records.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+  }
+
+  async exportHistory(format) {
+    const records = this.getHistoryRecords();
+    if (records.length === 0) {
+      new Notice('Word history is empty');
+      return;
+    }
+
+    const path = normalizePath(`wotd-history-${moment().format('YYYY-MM-DD')}.${format}`);
+    const contents = format === 'csv'
+      ? toCsv(records, HISTORY_COLUMNS)
+      : JSON.stringify({ version: 1, words: records }, null, 2);
+
+    try {
+      const file = this.app.vault.getAbstractFileByPath(path);
+      if (file) {
+        await this.app.vault.modify(file, contents);
+      } else {
+        await this.app.vault.create(path, contents);
+      }
+      new Notice(`Exported ${records.length} words to ${path}`);
+    } catch (error) {
+      console.error('Error exporting word history:', error);
+      new Notice('Error exporting word history. Check console for details.');
+    }
+  }
+
+  parseHistoryFile(text, extension) {
+    let items;
+
+    if (extension === 'json') {
+      const data = JSON.parse(text);
+      items = Array.isArray(data) ? data : data?.words;
+      if (!Array.isArray(items)) {
+        throw new Error('Expected an array of words or an object with a "words" array');
+      }
+    } else {
+      const rows = parseDelimited(text, extension === 'tsv' ? '\t' : ',');
+      if (rows.length === 0) {
+        return [];
+      }
+      const headers = rows[0].map(header => {
+        const normalized = normalizeWordListKey(header);
+        return HISTORY_COLUMNS.find(column => column.toLowerCase() === normalized.toLowerCase()) || normalized;
+      });
+      if (!headers.includes('language') || !headers.includes('word')) {
+        throw new Error('Missing "language" or "word" column');
+      }
+      items = rows.slice(1).map(cells => {
+        const item = {};
+        headers.forEach((header, index) => {
+          if (cells[index] !== undefined && cells[index] !== '') {
+            item[header] = cells[index];
+          }
+        });
+        return item;
+      });
+    }
+
+    return items
+      .filter(item => item && typeof item.language === 'string' && typeof item.word === 'string' && item.word.trim() !== '')
+      .map(item => Object.assign({}, item, {
+        language: item.language.trim(),
+        word: item.word.trim(),
+        timesSeen: parseInt(item.timesSeen) || 1
+      }));
+  }
+
+  importHistory() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,.csv,.tsv';
+
+    input.addEventListener('change', async () => {
+      const file = input.files?.[0];
+      if (!file) {
+        return;
+      }
+
+      try {
+        const extension = file.name.split('.').pop().toLowerCase();
+        const records = this.parseHistoryFile(await file.text(), extension);
+        if (records.length === 0) {
+          new Notice(`No words found in ${file.name}`);
+          return;
+        }
+
+        const result = this.mergeHistoryRecords(records);
+        await this.saveHistory();
+        this.refreshViews();
+        new Notice(`Imported word history: ${result.added} new, ${result.updated} merged`);
+      } catch (error) {
+        console.error('Error importing word history:', error);
+        new Notice(`Could not import ${file.name}: ${error.message}`);
+      }
+    });
+
+    input.click();
+  }
+
+  addWordToReview(wordData, date = moment()) {
+    if (!this.settings.reviewEnabled) {
+      return;
+    }
+
+    if (!this.settings.reviewItems) {
+      this.settings.reviewItems = {};
+    }
+
+    if (!this.settings.reviewItems[wordData.language]) {
+      this.settings.reviewItems[wordData.language] = {};
+    }
+
+    const key = this.getReviewKey(wordData);
+    if (this.settings.reviewItems[wordData.language][key]) {
+      return;
+    }
+
+    this.settings.reviewItems[wordData.language][key] = Object.assign(this.pickWordFields(wordData), {
+      difficulty: wordData.difficulty,
+      date: moment(date).format('YYYY-MM-DD'),
+      ease: 2.5,
+      interval: 0,
+      repetitions: 0,
+      due: moment(date).add(1, 'days').format('YYYY-MM-DD'),
+      lastReviewed: null
+    });
+  }
+
+  getDueReviewItems(date = moment()) {
+    const today = moment(date).format('YYYY-MM-DD');
+
+    return Object.values(this.settings.reviewItems || {})
+      .flatMap(items => Object.values(items))
+      .filter(item => item.due <= today)
+      .sort((a, b) => a.due.localeCompare(b.due));
+  }
+
+  getReviewKey(wordData) {
+    const contentType = getContentTypeKey(wordData);
+    const word = wordData.word.toLowerCase();
+    return contentType === 'word' ? word : `${word}:${contentType}`;
+  }
+
+  async gradeReviewItem(item, quality) {
+    const key = this.getReviewKey(item);
+    const updated = scheduleReview(item, quality);
+
+    if (this.settings.reviewItems?.[item.language]) {
+      this.settings.reviewItems[item.language][key] = updated;
+      await this.saveSettings();
+    }
+
+    return updated;
+  }
+
+  buildDueReviewSection() {
+    const dueItems = this.getDueReviewItems();
+    if (dueItems.length === 0) {
+      return '';
+    }
+
+    let markdown = `\n\n> [!TIP] Due for review\n`;
+    markdown += dueItems
+      .map(item => `> - **${item.word}** (${item.language}): ${item.definition}`)
+      .join('\n');
+
+    return markdown;
+  }
+
+  getKnownWords(language = null) {
+    return this.getHistoryRecords(language)
+      .filter(record => record.definition)
+      .map(record => Object.assign(this.pickWordFields(record), {
+        difficulty: record.difficulty || '',
+        date: record.date || ''
+      }));
+  }
+
+  filterKnownWords(filters = {}) {
+    return this.getKnownWords(filters.language || null).filter(wordData => {
+      if (filters.difficulty && wordData.difficulty !== filters.difficulty) {
+        return false;
+      }
+      if ((filters.from || filters.to) && !wordData.date) {
+        return false;
+      }
+      if (filters.from && wordData.date < filters.from) {
+        return false;
+      }
+      if (filters.to && wordData.date > filters.to) {
+        return false;
+      }
+      return true;
+    });
+  }
+
+  getFlashcardId(wordData) {
+    const language = wordData.language.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    const contentType = getContentTypeKey(wordData);
+    const key = `${wordData.language.toLowerCase()}|${wordData.word.toLowerCase()}${contentType === 'word' ? '' : `|${contentType}`}`;
+    return `wotd-${language}-${hashString(key)}`;
+  }
+
+  buildAnkiExport(words) {
+    const toField = (text) => String(text || '').replace(/[\t\r\n]+/g, ' ');
+    const toTag = (text) => String(text || '').trim().replace(/\s+/g, '_');
+
+    const header = [
+      '#separator:tab',
+      '#html:true',
+      '#notetype:Basic',
+      '#deck:Word of the Day',
+      '#guid column:1',
+      '#tags column:4'
+    ];
+
+    const rows = words.map(wordData => {
+      let front = `<b>${escapeHtml(wordData.word)}</b>`;
+      if (wordData.pronunciation) {
+        front += ` ${escapeHtml(wordData.pronunciation)}`;
+      }
+      if (wordData.partOfSpeech) {
+        front += ` <i>(${escapeHtml(wordData.partOfSpeech)})</i>`;
+      }
+
+      let back = escapeHtml(wordData.definition);
+      back += `<br><br><i>${escapeHtml(wordData.example)}</i>`;
+      if (wordData.translation) {
+        back += `<br>${escapeHtml(wordData.translation)}`;
+      }
+
+      const tags = ['wotd', `wotd::${toTag(wordData.language)}`];
+      if (wordData.difficulty) {
+        tags.push(`wotd::level::${toTag(wordData.difficulty)}`);
+      }
+
+      return [this.getFlashcardId(wordData), front, back, tags.join(' ')].map(toField).join('\t');
+    });
+
+    return `${header.concat(rows).join('\n')}\n`;
+  }
+
+  buildSpacedRepetitionExport(words, cardStyle, existing = '') {
+    const schedules = new Map();
+    existing.split(/\n\s*\n/).forEach(block => {
+      const schedule = block.match(/<!--SR:[^>]*-->/);
+      const front = block.split('\n')[0].replace(/<!--SR:[^>]*-->/, '').split('::')[0].trim();
+      if (schedule && front) {
+        schedules.set(front, schedule[0]);
+      }
+    });
+
+    const oneLine = (text) => String(text || '').replace(/\s*\n\s*/g, ' ');
+    const languages = [...new Set(words.map(wordData => wordData.language))];
+    let markdown = '#flashcards/wotd\n';
+
+    languages.forEach(language => {
+      markdown += `\n## ${language}\n`;
+
+      words.filter(wordData => wordData.language === language).forEach(wordData => {
+        const front = cardStyle === 'single-line'
+          ? wordData.word
+          : `**${wordData.word}**${wordData.pronunciation ? ` ${wordData.pronunciation}` : ''} *(${wordData.language})*`;
+        const schedule = schedules.get(front);
+
+        if (cardStyle === 'single-line') {
+          markdown += `\n${front}::${oneLine(wordData.definition)}${schedule ? ` ${schedule}` : ''}\n`;
+        } else {
+          markdown += `\n${front}\n?\n${oneLine(wordData.definition)}\n*${oneLine(wordData.example)}*\n`;
+          if (wordData.translation) {
+            markdown += `${oneLine(wordData.translation)}\n`;
+          }
+          if (schedule) {
+            markdown += `${schedule}\n`;
+          }
+        }
+      });
+    });
+
+    return markdown;
+  }
+
+  async exportFlashcards(options) {
+    const words = this.filterKnownWords(options);
+    if (words.length === 0) {
+      new Notice('No words match these filters');
+      return;
+    }
+
+    const path = normalizePath(options.path);
+
+    try {
+      await this.ensureFolder(path.substring(0, path.lastIndexOf('/')));
+
+      const file = this.app.vault.getAbstractFileByPath(path);
+      const existing = file ? await this.app.vault.read(file) : '';
+      const contents = options.format === 'anki'
+        ? this.buildAnkiExport(words)
+        : this.buildSpacedRepetitionExport(words, options.cardStyle, existing);
+
+      if (file) {
+        await this.app.vault.modify(file, contents);
+      } else {
+        await this.app.vault.create(path, contents);
+      }
+
+      new Notice(`Exported ${words.length} flashcard${words.length === 1 ? '' : 's'} to ${path}`);
+    } catch (error) {
+      console.error('Error exporting flashcards:', error);
+      new Notice('Error exporting flashcards. Check console for details.');
+    }
+  }
+
+  getQuizStats(wordData) {
+    return this.settings.quizStats?.[wordData.language]?.[this.getReviewKey(wordData)]
+      || { correct: 0, incorrect: 0, lastQuizzed: null };
+  }
+
+  recordQuizResult(wordData, correct) {
+    if (!this.settings.quizStats) {
+      this.settings.quizStats = {};
+    }
+    if (!this.settings.quizStats[wordData.language]) {
+      this.settings.quizStats[wordData.language] = {};
+    }
+
+    const stats = this.getQuizStats(wordData);
+    this.settings.quizStats[wordData.language][this.getReviewKey(wordData)] = {
+      correct: stats.correct + (correct ? 1 : 0),
+      incorrect: stats.incorrect + (correct ? 0 : 1),
+      lastQuizzed: moment().format('YYYY-MM-DD')
+    };
+  }
+
+  async buildQuizQuestions(language, count) {
+    const words = this.getKnownWords(language);
+    const selected = shuffle(words)
+      .sort((a, b) => (this.getQuizStats(a).lastQuizzed || '').localeCompare(this.getQuizStats(b).lastQuizzed || ''))
+      .slice(0, count);
+
+    const questions = selected.map(item => {
+      const sameLanguage = words.filter(other => other.language === item.language && other.word !== item.word);
+      const cloze = this.maskWord(item.example, item.word);
+      const types = QUIZ_QUESTION_TYPES.filter(type => {
+        if (type === 'cloze') {
+          return cloze !== null;
+        }
+        if (type === 'multiple-choice' || type === 'word-to-definition') {
+          return sameLanguage.length > 0 || this.settings.quizAiDistractors;
+        }
+        return true;
+      });
+      const type = types[Math.floor(Math.random() * types.length)];
+      const distractors = shuffle(sameLanguage).slice(0, 3);
+
+      switch (type) {
+        case 'multiple-choice':
+          return { type, item, prompt: item.definition, answer: item.word, options: distractors.map(other => other.word) };
+        case 'word-to-definition':
+          return { type, item, prompt: item.word, answer: item.definition, options: distractors.map(other => other.definition) };
+        case 'cloze':
+          return { type, item, prompt: cloze, answer: item.word };
+        default:
+          return { type, item, prompt: item.definition, answer: item.word };
+      }
+    });
+
+    if (this.settings.quizAiDistractors) {
+      await this.addAiDistractors(questions.filter(question => question.options));
+    }
+
+    questions.forEach(question => {
+      if (question.options && question.options.length === 0) {
+        Object.assign(question, { type: 'definition-to-word', prompt: question.item.definition, answer: question.item.word });
+        delete question.options;
+      } else if (question.options) {
+        question.options = shuffle([question.answer].concat(question.options.slice(0, 3)));
+      }
+    });
+
+    return questions;
+  }
+
+  async addAiDistractors(questions) {
+    if (questions.length === 0 || !this.isProviderConfigured(false)) {
+      return;
+    }
+
+    const prompt = `Create plausible but wrong multiple-choice options for these vocabulary quiz questions.
+For each item, return 3 distractors in the same language and style as the correct answer. Distractors must be clearly wrong for a learner who knows the word.
+
+${questions.map((question, index) => `${index + 1}. (${question.item.language}) ${question.type === 'multiple-choice'
+    ? `Question: which word means "${question.item.definition}"? Correct answer: ${question.answer}. Give 3 other ${question.item.language} words.`
+    : `Question: what does "${question.item.word}" mean? Correct answer: ${question.answer}. Give 3 other definitions.`}`).join('\n')}
+
+Return ONLY a JSON object with this exact structure (no additional text, no markdown formatting):
+{"items": [{"id": 1, "distractors": ["...", "...", "..."]}]}`;
+
+    const schema = {
+      type: 'object',
+      properties: {
+        items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'integer' },
+              distractors: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['id', 'distractors'],
+            additionalProperties: false
+          }
+        }
+      },
+      required: ['items'],
+      additionalProperties: false
+    };
+
+    try {
+      const { payload } = await this.requestFromProvider(prompt, schema);
+      const data = this.parseJsonObject(payload);
+      (data.items || []).forEach(entry => {
+        const question = questions[entry.id - 1];
+        if (!question || !Array.isArray(entry.distractors)) {
+          return;
+        }
+        const generated = entry.distractors
+          .filter(option => typeof option === 'string' && option.trim() !== '')
+          .map(option => option.trim())
+          .filter(option => option.toLowerCase() !== question.answer.toLowerCase());
+        question.options = generated.concat(question.options).slice(0, 3);
+      });
+    } catch (error) {
+      console.error('Error generating quiz distractors:', error);
+    }
+  }
+
+  maskWord(sentence, word) {
+    if (!sentence || !word) {
+      return null;
+    }
+
+    const escaped = escapeRegExp(word);
+    const pattern = UNSPACED_SCRIPT_PATTERN.test(word)
+      ? new RegExp(escaped, 'giu')
+      : new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu');
+    if (!pattern.test(sentence)) {
+      return null;
+    }
+
+    return sentence.replace(pattern, '_____');
+  }
+
+  isQuizAnswerCorrect(question, answer) {
+    const normalize = (text) => String(text).trim().toLowerCase().normalize('NFC');
+    return normalize(answer) === normalize(question.answer);
+  }
+
+  buildQuizSummary(results) {
+    const correct = results.filter(result => result.correct).length;
+    let markdown = `> [!EXAMPLE] Vocabulary quiz: ${correct}/${results.length}\n`;
+    markdown += results
+      .map(result => result.correct
+        ? `> - ✅ **${result.question.item.word}** (${result.question.item.language})`
+        : `> - ❌ **${result.question.item.word}** (${result.question.item.language}): ${result.question.item.definition}`)
+      .join('\n');
+    return markdown;
+  }
+
+  async addQuizSummaryToDailyNote(results) {
+    try {
+      const file = await this.getOrCreateNote();
+      const summary = this.buildQuizSummary(results);
+      await this.app.vault.process(file, (data) => {
+        const existing = data.trimEnd();
+        return `${existing ? `${existing}\n\n` : ''}${summary}\n`;
+      });
+      new Notice('Quiz summary added to daily note');
+    } catch (error) {
+      console.error('Error adding quiz summary to daily note:', error);
+      new Notice('Error adding quiz summary to daily note');
+    }
+  }
+
+  getWordHistory(language, contentType = 'word') {
+    return this.getHistoryRecords(language, contentType).map(record => record.word.toLowerCase());
+  }
+
+  async fetchClaudeModels() {
+    try {
+      const response = await requestUrl({
+        url: 'https://api.anthropic.com/v1/models',
+        method: 'GET',
+        headers: {
+          'x-api-key': this.settings.claudeApiKey,
+          'anthropic-version': '2023-06-01'
+        }
+      });
+
+      const models = response.json.data
+        .map(model => model.id)
+        .filter(id => id.includes('claude'));
+
+      this.settings.availableModels.claude = models;
+      await this.saveSettings();
+      return models;
+    } catch (error) {
+      console.error('Failed to fetch Claude models:', error);
+      new Notice('Failed to fetch Claude models. Using default.');
+      return ['claude-3-haiku-20240307', 'claude-3-sonnet-20240229', 'claude-3-opus-20240229'];
+    }
+  }
+
+  async fetchOpenAIModels() {
+    try {
+      const response = await requestUrl({
+        url: 'https://api.openai.com/v1/models',
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${this.settings.openaiApiKey}`
+        }
+      });
+
+      const models = response.json.data
+        .map(model => model.id)
+        .filter(id => id.includes('gpt'))
+        .sort();
+
+      this.settings.availableModels.openai = models;
+      await this.saveSettings();
+      return models;
+    } catch (error) {
+      console.error('Failed to fetch OpenAI models:', error);
+      new Notice('Failed to fetch OpenAI models. Using default.');
+      return ['gpt-3.5-turbo', 'gpt-4', 'gpt-4-turbo'];
+    }
+  }
+
+  async fetchGeminiModels() {
+    try {
+      const response = await requestUrl({
+        url: `https://generativelanguage.googleapis.com/v1beta/models?key=${this.settings.geminiApiKey}`,
+        method: 'GET'
+      });
+
+      const models = response.json.models
+        .filter(model => model.supportedGenerationMethods?.includes('generateContent'))
+        .map(model => model.name.replace('models/', ''));
+
+      this.settings.availableModels.gemini = models;
+      await this.saveSettings();
+      return models;
+    } catch (error) {
+      console.error('Failed to fetch Gemini models:', error);
+      new Notice('Failed to fetch Gemini models. Using default.');
+      return ['gemini-pro', 'gemini-1.5-pro', 'gemini-1.5-flash'];
+    }
+  }
+
+  async fetchCustomModels() {
+    const baseUrl = this.getCustomBaseUrl();
+
+    try {
+      let models;
+      try {
+        const response = await requestUrl({
+          url: `${baseUrl}/v1/models`,
+          method: 'GET',
+          headers: this.getCustomHeaders()
+        });
+
+        models = response.json.data.map(model => model.id);
+      } catch (openaiError) {
+        const response = await requestUrl({
+          url: `${baseUrl}/api/tags`,
+          method: 'GET',
+          headers: this.getCustomHeaders()
+        });
+
+        models = response.json.models.map(model => model.name);
+      }
+
+      models = models.filter(Boolean).sort();
+
+      this.settings.availableModels.custom = models;
+      if (!this.settings.customModel && models.length > 0) {
+        this.settings.customModel = models[0];
+      }
+      await this.saveSettings();
+      return models;
+    } catch (error) {
+      console.error('Failed to fetch custom endpoint models:', error);
+      new Notice(`Failed to fetch models from ${baseUrl}. Is the server running?`);
+      return this.settings.availableModels.custom;
+    }
+  }
+
+  getProviderProblem(provider) {
+    if (provider === 'custom') {
+      if (!this.getCustomBaseUrl()) {
+        return 'Please configure your custom endpoint URL in settings';
+      }
+      if (!this.settings.customModel) {
+        return 'Please select a model for your custom endpoint in settings';
+      }
+      return null;
+    }
+
+    return this.getActiveApiKey(provider) ? null : `Please configure your ${provider} API key in settings`;
+  }
+
+  getProviderChain() {
+    const providers = [this.settings.provider].concat(this.settings.fallbackProviders || []);
+    return providers
+      .filter((provider, index) => providers.indexOf(provider) === index && !this.getProviderProblem(provider))
+      .map(provider => ({ provider, model: this.getActiveModel(provider) }));
+  }
+
+  getBudgetProviderChain() {
+    const model = (this.settings.budgetModel || '').trim();
+    return this.getProviderChain().map((route, index) =>
+      index === 0 && model ? { provider: route.provider, model } : route
+    );
+  }
+
+  isProviderConfigured(notify = true) {
+    const hasOverride = this.settings.languages.some(lang =>
+      lang.enabled && lang.provider && !this.getProviderProblem(lang.provider)
+    );
+    if (this.getProviderChain().length > 0 || hasOverride) {
+      return true;
+    }
+
+    if (notify) {
+      new Notice(this.getProviderProblem(this.settings.provider));
+    }
+    return false;
+  }
+
+  async fetchAllWordsOfTheDay(date = moment(), options = {}) {
+    try {
+      const words = await this.getWordsForDate(date, options);
+
+      if (!words || words.length === 0) {
+        return null;
+      }
+
+      const isToday = options.period !== 'week' && moment(date).isSame(moment(), 'day');
+      const dueReviewSection = this.settings.dueReviewInDailyNote && isToday ? this.buildDueReviewSection() : '';
+
+      return `${this.renderVocabularyBlock(words, date)}${dueReviewSection}`;
+    } catch (error) {
+      console.error('Error fetching words:', error);
+      new Notice('Error fetching words. Check console for details.');
+      return null;
+    }
+  }
+
+  getWordsForDate(date = moment(), options = {}) {
+    const key = this.getCacheKey(date, options.period);
+
+    const previous = this._pendingGenerations.get(key);
+    if (previous && !options.regenerate) {
+      return previous;
+    }
+
+    const pending = (previous ? previous.catch(() => null) : Promise.resolve())
+      .then(() => this.resolveWordsForDate(key, moment(date), options))
+      .finally(() => {
+        if (this._pendingGenerations.get(key) === pending) {
+          this._pendingGenerations.delete(key);
+        }
+      });
+    this._pendingGenerations.set(key, pending);
+    return pending;
+  }
+
+  getCacheKey(date, period = 'day') {
+    return period === 'week'
+      ? `${moment(date).startOf('week').format('YYYY-MM-DD')}-week`
+      : moment(date).format('YYYY-MM-DD');
+  }
+
+  getCachedWords(date, period = 'day') {
+    return this.settings.wordCache?.[this.getCacheKey(date, period)]?.words || [];
+  }
+
+  getWordsPerDay(lang) {
+    return Math.max(1, parseInt(lang.wordsPerDay) || 1);
+  }
+
+  isLanguageScheduled(lang, date, period = 'day') {
+    const schedule = lang.schedule || 'daily';
+    if (period === 'week') {
+      return schedule === 'weekly';
+    }
+
+    const weekday = moment(date).isoWeekday();
+    switch (schedule) {
+      case 'weekdays':
+        return weekday <= 5;
+      case 'days':
+        return (lang.days || []).includes(weekday);
+      case 'weekly':
+        return false;
+      default:
+        return true;
+    }
+  }
+
+  getScheduledLanguages(date, period = 'day') {
+    return this.settings.languages
+      .filter(lang => lang.enabled && this.isLanguageScheduled(lang, date, period))
+      .map(lang => Object.assign({}, lang, { count: this.getWordsPerDay(lang) }));
+  }
+
+  getMissingLanguages(languages, words) {
+    return languages
+      .map(lang => {
+        const have = words.filter(wordData => isSameEntry(wordData, lang)).length;
+        const count = lang.count || 1;
+        return have < count ? Object.assign({}, lang, { count: count - have }) : null;
+      })
+      .filter(Boolean);
+  }
+
+  orderWordsByLanguage(languages, words) {
+    return languages.flatMap(lang =>
+      words.filter(wordData => isSameEntry(wordData, lang)).slice(0, lang.count || 1)
+    );
+  }
+
+  async resolveWordsForDate(key, date, options) {
+    if (!this.settings.languages.some(lang => lang.enabled)) {
+      if (!options.background) {
+        new Notice('No languages enabled. Please configure in settings.');
+      }
+      return [];
+    }
+
+    const period = options.period || 'day';
+    const languages = this.getScheduledLanguages(date, period);
+    if (languages.length === 0) {
+      if (!options.background && !options.automatic) {
+        new Notice(period === 'week' ? 'No languages are scheduled weekly' : 'No languages are scheduled for this day');
+      }
+      return [];
+    }
+
+    const cachedWords = this.settings.wordCache?.[key]?.words || [];
+    const cached = options.regenerate === true
+      ? []
+      : cachedWords.filter(wordData => !(options.regenerate || []).includes(getEntryKey(wordData.language, getContentTypeKey(wordData))));
+
+    const missing = this.getMissingLanguages(languages, cached);
+    if (missing.length === 0) {
+      return this.orderWordsByLanguage(languages, cached);
+    }
+
+    if (this.settings.wordBankMode === 'off' && !this.isProviderConfigured(!options.background)) {
+      return this.orderWordsByLanguage(languages, cached);
+    }
+
+    const words = await this.generateWords(missing, options);
+
+    if (words.length > 0) {
+      if (this.settings.wordNotesEnabled) {
+        await this.createWordNotes(words, date);
+      }
+
+      this.addWordsToHistory(words, date);
+      words.forEach(wordData => this.addWordToReview(wordData, date));
+
+      this.cacheWords(key, cached.concat(words));
+      await this.saveHistory();
+      await this.saveSettings();
+      this.refreshViews();
+    }
+
+    if (!options.background && period === 'day' && date.isSame(moment(), 'day')) {
+      this.prefetchTomorrow();
+    }
+
+    return this.orderWordsByLanguage(languages, cached.concat(words));
+  }
+
+  async regenerateWord(lang, date = moment(), period = 'day') {
+    const regenerate = [getEntryKey(lang.name, getContentTypeKey(lang))];
+    const words = (await this.getWordsForDate(date, { regenerate, period }) || [])
+      .filter(item => isSameEntry(item, lang));
+    if (words.length > 0) {
+      await this.updateNoteWords(date, period);
+      new Notice(`New ${this.getEntryLabel(lang)}: ${words.map(wordData => wordData.word).join(', ')}`);
+    }
+    return words;
+  }
+
+  getEntryLabel(lang) {
+    const contentType = getContentTypeKey(lang);
+    return contentType === 'word' ? lang.name : `${lang.name} (${CONTENT_TYPES[contentType].name.toLowerCase()})`;
+  }
+
+  async openDailyNote(date, period = 'day') {
+    const file = this.app.vault.getAbstractFileByPath(this.getNotePath(moment(date, 'YYYY-MM-DD'), period) || '');
+    if (!file) {
+      new Notice(`No ${period === 'week' ? 'weekly' : 'daily'} note for ${date}`);
+      return;
+    }
+    await this.app.workspace.getLeaf(false).openFile(file);
+  }
+
+  cacheWords(key, words) {
+    if (!this.settings.wordCache) {
+      this.settings.wordCache = {};
+    }
+
+    this.settings.wordCache[key] = {
+      words,
+      generatedAt: new Date().toISOString()
+    };
+
+    const oldest = moment().subtract(WORD_CACHE_DAYS, 'days').format('YYYY-MM-DD');
+    Object.keys(this.settings.wordCache)
+      .filter(cachedKey => cachedKey < oldest)
+      .forEach(cachedKey => delete this.settings.wordCache[cachedKey]);
+  }
+
+  async clearWordCache() {
+    this.settings.wordCache = {};
+    await this.saveSettings();
+  }
+
+  prefetchTomorrow() {
+    if (!this.settings.prefetchTomorrow) {
+      return;
+    }
+
+    const tomorrow = moment().add(1, 'day');
+    if (this.getMissingLanguages(this.getScheduledLanguages(tomorrow), this.getCachedWords(tomorrow)).length === 0) {
+      return;
+    }
+
+    this.getWordsForDate(tomorrow, { background: true, automatic: true })
+      .catch(error => console.error('Error prefetching tomorrow\'s words:', error));
+  }
+
+  async generateWords(languages, options = {}) {
+    let budgetAction = options.automatic && this.isOverBudget() ? this.settings.budgetAction : null;
+    if (budgetAction === 'cheaper' && !(this.settings.budgetModel || '').trim()) {
+      console.warn('Budget action is "cheaper model" but no cheaper model is set; pausing automatic generation');
+      budgetAction = 'stop';
+    }
+    if (budgetAction === 'stop') {
+      if (!options.background) {
+        new Notice(this.settings.budgetAction === 'cheaper'
+          ? 'Monthly AI budget reached and no cheaper model is set. Automatic generation is paused'
+          : 'Monthly AI budget reached. Automatic generation is paused');
+      }
+      return [];
+    }
+
+    const mode = budgetAction === 'wordbank' ? 'primary' : this.settings.wordBankMode;
+    let words = [];
+
+    if (mode === 'primary') {
+      words = await this.drawFromWordBank(languages);
+    }
+
+    let remaining = this.getMissingLanguages(languages, words);
+
+    if (remaining.length > 0 && budgetAction === 'wordbank') {
+      new Notice(`Monthly AI budget reached. No word bank words for: ${remaining.map(lang => this.getEntryLabel(lang)).join(', ')}`);
+      return words;
+    }
+
+    if (remaining.length > 0 && this.isProviderConfigured(mode !== 'fallback')) {
+      const routes = budgetAction === 'cheaper' ? this.getBudgetProviderChain() : this.getProviderChain();
+      try {
+        words = words.concat(await this.fetchWordsByRoute(remaining, routes, {
+          ignoreOverrides: budgetAction === 'cheaper',
+          background: options.background
+        }));
+      } catch (error) {
+        if (mode !== 'fallback') {
+          throw error;
+        }
+        console.error('AI generation failed, falling back to word bank:', error);
+      }
+    }
+
+    remaining = this.getMissingLanguages(languages, words);
+
+    if (remaining.length > 0 && mode === 'fallback') {
+      const bankWords = await this.drawFromWordBank(remaining);
+      if (bankWords.length > 0) {
+        new Notice(`Used the offline word bank for: ${[...new Set(bankWords.map(wordData => wordData.language))].join(', ')}`);
+      }
+      words = words.concat(bankWords);
+    }
+
+    remaining = this.getMissingLanguages(languages, words);
+
+    if (remaining.length > 0 && mode !== 'off') {
+      new Notice(`No words available for: ${remaining.map(lang => this.getEntryLabel(lang)).join(', ')}`);
+    }
+
+    return this.orderWordsByLanguage(languages, words);
+  }
+
+  getWordBankFiles() {
+    const folder = normalizePath(this.settings.wordBankFolder || 'Word Bank');
+    return this.app.vault.getFiles().filter(file =>
+      file.path.startsWith(`${folder}/`) && WORD_BANK_EXTENSIONS.includes(file.extension.toLowerCase())
+    );
+  }
+
+  async loadWordBank() {
+    const entries = [];
+    const errors = [];
+
+    for (const file of this.getWordBankFiles()) {
+      try {
+        const text = await this.app.vault.cachedRead(file);
+        const result = parseWordList(text, file.extension.toLowerCase());
+        entries.push(...result.entries);
+        errors.push(...result.errors.map(error => `${file.path}: ${error}`));
+      } catch (error) {
+        console.error(`Error reading word bank file ${file.path}:`, error);
+        errors.push(`${file.path}: could not be read`);
+      }
+    }
+
+    if (errors.length > 0) {
+      console.warn('Word bank problems:', errors);
+    }
+
+    return { entries, errors };
+  }
+
+  async drawFromWordBank(languages) {
+    const { entries } = await this.loadWordBank();
+    const words = [];
+
+    languages.filter(lang => getContentTypeKey(lang) === 'word').forEach(lang => {
+      const used = new Set(this.getWordHistory(lang.name).map(word => normalizeWordKey(word, lang.name)));
+      const available = entries.filter(entry =>
+        entry.language.toLowerCase() === lang.name.toLowerCase()
+        && !used.has(normalizeWordKey(entry.word, lang.name))
+      );
+      const atLevel = available.filter(entry =>
+        !entry.difficulty || entry.difficulty.toLowerCase() === String(lang.difficulty).toLowerCase()
+      );
+      const pool = atLevel.length > 0 ? atLevel : available;
+
+      if (pool.length === 0) {
+        console.warn(`Word bank has no unused words for ${lang.name}`);
+        return;
+      }
+
+      for (let i = 0; i < (lang.count || 1) && pool.length > 0; i++) {
+        const entry = pool.splice(Math.floor(Math.random() * pool.length), 1)[0];
+        used.add(normalizeWordKey(entry.word, lang.name));
+        words.push(Object.assign({}, entry, {
+          language: lang.name,
+          difficulty: lang.difficulty,
+          source: 'wordbank'
+        }));
+        pool.splice(0, pool.length, ...pool.filter(candidate => !used.has(normalizeWordKey(candidate.word, lang.name))));
+      }
+    });
+
+    return words;
+  }
+
+  importWordList() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = WORD_BANK_EXTENSIONS.map(extension => `.${extension}`).join(',');
+
+    input.addEventListener('change', async () => {
+      const file = input.files?.[0];
+      if (!file) {
+        return;
+      }
+
+      const extension = file.name.split('.').pop().toLowerCase();
+      if (!WORD_BANK_EXTENSIONS.includes(extension)) {
+        new Notice('Word lists must be .csv, .tsv or .json files');
+        return;
+      }
+
+      try {
+        const text = await file.text();
+        const { entries, errors } = parseWordList(text, extension);
+
+        if (entries.length === 0) {
+          console.error(`Invalid word list ${file.name}:`, errors);
+          new Notice(`Could not import ${file.name}: ${errors[0] || 'no valid words found'}`);
+          return;
+        }
+
+        const folder = normalizePath(this.settings.wordBankFolder || 'Word Bank');
+        await this.ensureFolder(folder);
+
+        const baseName = this.sanitizeFileName(file.name.replace(/\.[^.]+$/, '')) || 'Word list';
+        let path = normalizePath(`${folder}/${baseName}.${extension}`);
+        for (let copy = 1; this.app.vault.getAbstractFileByPath(path); copy++) {
+          path = normalizePath(`${folder}/${baseName} ${copy}.${extension}`);
+        }
+
+        await this.app.vault.create(path, text);
+
+        if (errors.length > 0) {
+          console.warn(`Skipped invalid entries in ${file.name}:`, errors);
+          new Notice(`Imported ${entries.length} words into ${path}. ${errors.length} invalid entries were skipped (see console).`);
+        } else {
+          new Notice(`Imported ${entries.length} words into ${path}`);
+        }
+      } catch (error) {
+        console.error('Error importing word list:', error);
+        new Notice('Error importing word list. Check console for details.');
+      }
+    });
+
+    input.click();
+  }
+
+  renderVocabularyBlock(words, date = moment()) {
+    return `${VOCABULARY_MARKER}\n${this.renderWords(words, date, this.settings.feedbackCheckboxes)}\n${VOCABULARY_END_MARKER}`;
+  }
+
+  renderWords(words, date = moment(), feedback = false) {
+    const context = {
+      date: moment(date).format('YYYY-MM-DD'),
+      words: words.map((wordData, index) => Object.assign(this.pickWordFields(wordData), {
+        newLanguage: index === 0 || words[index - 1].language !== wordData.language
+          || getContentTypeKey(words[index - 1]) !== getContentTypeKey(wordData),
+        typeName: getContentTypeKey(wordData) === 'word' ? '' : CONTENT_TYPES[wordData.contentType].name,
+        link: this.formatWordLink(wordData),
+        difficulty: wordData.difficulty,
+        feedbackEnabled: feedback,
+        feedback: feedback ? this.buildFeedbackCheckboxes(wordData) : []
+      }))
+    };
+
+    const template = (this.settings.outputTemplate || '').trim() ? this.settings.outputTemplate : DEFAULT_OUTPUT_TEMPLATE;
+    return renderTemplate(template, context).trimEnd();
+  }
+
+  pickWordFields(wordData) {
+    const fields = {
+      language: wordData.language,
+      word: wordData.word,
+      definition: wordData.definition,
+      example: wordData.example
+    };
+
+    if (getContentTypeKey(wordData) !== 'word') {
+      fields.contentType = wordData.contentType;
+    }
+
+    OPTIONAL_WORD_FIELDS.concat(CONTENT_TYPE_FIELDS).forEach(field => {
+      if (wordData[field.key]) {
+        fields[field.key] = wordData[field.key];
+      }
+    });
+
+    return fields;
+  }
+
+  hasVocabularyBlock(content) {
+    return content.includes(VOCABULARY_MARKER) || content.includes(LEGACY_VOCABULARY_HEADER);
+  }
+
+  async createWordNotes(words, date = moment()) {
+    const today = moment(date).format('YYYY-MM-DD');
+
+    for (const wordData of words) {
+      const path = this.getWordNotePath(wordData);
+
+      try {
+        let file = this.app.vault.getAbstractFileByPath(path);
+
+        if (file) {
+          await this.app.fileManager.processFrontMatter(file, (frontmatter) => {
+            if (!frontmatter.last_seen || today > frontmatter.last_seen) {
+              frontmatter.last_seen = today;
+            }
+            if (!frontmatter.first_seen || today < frontmatter.first_seen) {
+              frontmatter.first_seen = today;
+            }
+            frontmatter.times_seen = (frontmatter.times_seen || 1) + 1;
+          });
+        } else {
+          await this.ensureFolder(path.substring(0, path.lastIndexOf('/')));
+          file = await this.app.vault.create(path, this.buildWordNoteBody(wordData));
+          await this.app.fileManager.processFrontMatter(file, (frontmatter) => {
+            frontmatter.language = wordData.language;
+            frontmatter.difficulty = wordData.difficulty;
+            frontmatter.first_seen = today;
+            frontmatter.last_seen = today;
+            frontmatter.times_seen = 1;
+            frontmatter.definition = wordData.definition;
+            frontmatter.example = wordData.example;
+            if (getContentTypeKey(wordData) !== 'word') {
+              frontmatter.type = wordData.contentType;
+            }
+            OPTIONAL_WORD_FIELDS.concat(CONTENT_TYPE_FIELDS).forEach(field => {
+              if (wordData[field.key]) {
+                frontmatter[field.frontmatter] = wordData[field.key];
+              }
+            });
+          });
+        }
+
+        wordData.notePath = path;
+      } catch (error) {
+        console.error(`Error creating note for ${wordData.word}:`, error);
+        new Notice(`Could not create note for ${wordData.word}`);
+      }
+    }
+  }
+
+  buildWordNoteBody(wordData) {
+    let body = `# ${wordData.word}\n\n*Definition:* ${wordData.definition}\n\n*Example:* ${wordData.example}\n`;
+
+    OPTIONAL_WORD_FIELDS.concat(CONTENT_TYPE_FIELDS).forEach(field => {
+      if (wordData[field.key]) {
+        body += `\n*${field.name}:* ${wordData[field.key]}\n`;
+      }
+    });
+
+    return body;
+  }
+
+  getWordNotePath(wordData) {
+    const folder = this.settings.wordNotesFolder || 'Vocabulary';
+    const language = this.sanitizeFileName(wordData.language);
+    const contentType = getContentTypeKey(wordData);
+    const typeFolder = contentType === 'word' ? '' : `/${CONTENT_TYPES[contentType].folder}`;
+    const word = this.sanitizeFileName(wordData.word);
+    return normalizePath(`${folder}/${language}${typeFolder}/${word}.md`);
+  }
+
+  sanitizeFileName(name) {
+    return name.replace(/[\\/:*?"<>|#^[\]]/g, '').trim();
+  }
+
+  formatWordLink(wordData) {
+    if (!wordData.notePath) {
+      return wordData.word;
+    }
+    return `[[${wordData.notePath.replace(/\.md$/, '')}|${wordData.word}]]`;
+  }
+
+  async ensureFolder(folderPath) {
+    if (!folderPath) {
+      return;
+    }
+
+    const segments = normalizePath(folderPath).split('/');
+    let current = '';
+
+    for (const segment of segments) {
+      current = current ? `${current}/${segment}` : segment;
+      if (!this.app.vault.getAbstractFileByPath(current)) {
+        await this.app.vault.createFolder(current);
+      }
+    }
+  }
+
+  getLanguageRoutes(lang, routes) {
+    if (!lang.provider) {
+      return routes;
+    }
+
+    const problem = this.getProviderProblem(lang.provider);
+    if (problem) {
+      console.warn(`Ignoring ${this.getProviderLabel(lang.provider)} override for ${lang.name}: ${problem}`);
+      return routes;
+    }
+
+    const override = { provider: lang.provider, model: lang.model || this.getActiveModel(lang.provider) };
+    return [override].concat(routes.filter(route =>
+      route.provider !== override.provider || route.model !== override.model
+    ));
+  }
+
+  groupLanguagesByRoute(languages, routes = this.getProviderChain(), options = {}) {
+    const groups = new Map();
+    languages.forEach(lang => {
+      const languageRoutes = options.ignoreOverrides ? routes : this.getLanguageRoutes(lang, routes);
+      const key = languageRoutes.map(route => `${route.provider}:${route.model}`).join('|');
+      if (!groups.has(key)) {
+        groups.set(key, { routes: languageRoutes, languages: [] });
+      }
+      groups.get(key).languages.push(lang);
+    });
+    return [...groups.values()];
+  }
+
+  async fetchWordsByRoute(languages, routes = this.getProviderChain(), options = {}) {
+    const results = await Promise.allSettled(
+      this.groupLanguagesByRoute(languages, routes, options)
+        .map(group => this.fetchWordsInBatches(group.languages, group.routes, options))
+    );
+
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length === results.length) {
+      throw failed[0].reason;
+    }
+    failed.forEach(result => console.error('Word generation failed for a provider group:', result.reason));
+
+    const words = results
+      .filter(result => result.status === 'fulfilled')
+      .flatMap(result => result.value);
+
+    return this.orderWordsByLanguage(languages, words);
+  }
+
+  estimateEntryTokens(lang) {
+    const fieldCount = (lang.fields || []).length + CONTENT_TYPES[getContentTypeKey(lang)].fields.length;
+    return ENTRY_BASE_TOKENS + ENTRY_FIELD_TOKENS * fieldCount;
+  }
+
+  splitIntoBatches(languages) {
+    const budget = MAX_OUTPUT_TOKENS - PROMPT_OUTPUT_OVERHEAD;
+    const batches = [[]];
+    let used = 0;
+
+    languages.forEach(lang => {
+      const cost = this.estimateEntryTokens(lang);
+      let remaining = lang.count || 1;
+      while (remaining > 0) {
+        let count = Math.min(remaining, Math.floor((budget - used) / cost));
+        if (count <= 0) {
+          if (batches[batches.length - 1].length > 0) {
+            batches.push([]);
+            used = 0;
+            continue;
+          }
+          count = 1;
+        }
+        batches[batches.length - 1].push(Object.assign({}, lang, { count }));
+        used += count * cost;
+        remaining -= count;
+        if (remaining > 0) {
+          batches.push([]);
+          used = 0;
+        }
+      }
+    });
+
+    return batches.filter(batch => batch.length > 0);
+  }
+
+  async fetchWordsInBatches(languages, routes = this.getProviderChain(), options = {}) {
+    const batches = this.splitIntoBatches(languages);
+    let words = [];
+    let firstError = null;
+
+    for (const batch of batches) {
+      try {
+        words = words.concat(await this.fetchWordsFromAI(batch, routes, words, options));
+      } catch (error) {
+        if (batches.length === 1) {
+          throw error;
+        }
+        console.error('Word generation failed for a batch:', error);
+        firstError = firstError || error;
+      }
+    }
+
+    if (words.length === 0 && firstError) {
+      throw firstError;
+    }
+    return words;
+  }
+
+  async fetchWordsFromAI(languages, routes = this.getProviderChain(), previous = [], options = {}) {
+    const maxAttempts = 1 + Math.max(0, this.settings.maxRepairAttempts ?? 2);
+    const collected = [];
+    const rejected = {};
+    let pending = languages;
+    let problems = [];
+
+    for (let attempt = 1; attempt <= maxAttempts && pending.length > 0; attempt++) {
+      const prompt = this.buildPrompt(pending, problems);
+      let response;
+      try {
+        response = await this.requestFromProvider(prompt, this.buildResponseSchema(pending), routes, options);
+      } catch (error) {
+        if (collected.length === 0) {
+          throw error;
+        }
+        console.error(`Attempt ${attempt}: repair request failed, keeping the words already collected:`, error);
+        break;
+      }
+      const { provider, model, payload } = response;
+      const source = { provider, model, source: 'ai' };
+
+      let entries;
+      try {
+        entries = this.parseWordsResponse(payload);
+      } catch (parseError) {
+        console.error(`Attempt ${attempt}: could not parse ${this.getProviderLabel(provider)} response:`, parseError);
+        console.error('Response content:', payload);
+        problems = [`The response was not a valid JSON array (${parseError.message}).`];
+        continue;
+      }
+
+      const result = this.validateWords(entries, pending);
+      problems = result.problems;
+
+      const repeated = new Set();
+      result.valid.forEach(wordData => {
+        const key = normalizeWordKey(wordData.word, wordData.language);
+        const contentType = getContentTypeKey(wordData);
+        const alreadyCollected = collected.concat(previous).some(existing =>
+          existing.language === wordData.language && getContentTypeKey(existing) === contentType
+          && normalizeWordKey(existing.word, existing.language) === key
+        );
+        if (!alreadyCollected && !this.isWordInHistory(wordData.language, wordData.word, contentType)) {
+          collected.push(Object.assign(wordData, source));
+          return;
+        }
+
+        const lang = languages.find(item => isSameEntry(wordData, item));
+        rejected[this.getEntryLabel(lang)] = (rejected[this.getEntryLabel(lang)] || []).concat(wordData.word);
+        repeated.add(this.getEntryLabel(lang));
+      });
+
+      repeated.forEach(label => {
+        const used = [...new Set(rejected[label])];
+        problems.push(`${label}: ${used.map(word => `"${word}"`).join(', ')} ${used.length === 1 ? 'was' : 'were'} already used on a previous day. Choose a different one`);
+      });
+      pending = this.getMissingLanguages(languages, collected);
+
+      if (problems.length > 0) {
+        console.warn(`Attempt ${attempt}: invalid ${this.getProviderLabel(provider)} response:`, problems);
+      }
+    }
+
+    if (pending.length > 0) {
+      const missingNames = pending.map(lang => this.getEntryLabel(lang)).join(', ');
+      console.error(`Giving up on ${missingNames}. Remaining problems:`, problems);
+      if (!options.background) {
+        new Notice(`The AI did not return enough valid words for: ${missingNames}`);
+      }
+    }
+
+    return this.orderWordsByLanguage(languages, collected);
+  }
+
+  async recordUsage(provider, model, inputTokens, outputTokens) {
+    const month = moment().format('YYYY-MM');
+    const wasOverBudget = this.isOverBudget();
+
+    if (!this.settings.usage) {
+      this.settings.usage = {};
+    }
+    const monthUsage = this.settings.usage[month] = this.settings.usage[month] || {};
+    const key = `${provider}:${model}`;
+    const entry = monthUsage[key] = monthUsage[key] || { provider, model, requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+
+    entry.requests++;
+    entry.inputTokens += inputTokens || 0;
+    entry.outputTokens += outputTokens || 0;
+    entry.cost += this.estimateCost(model, inputTokens, outputTokens);
+    if (!this.settings.modelPrices?.[model]) {
+      entry.unpricedRequests = (entry.unpricedRequests || 0) + 1;
+      if (entry.unpricedRequests === 1 && this.settings.monthlyBudget > 0) {
+        new Notice(`No price is set for ${model}, so its usage does not count toward the monthly budget. Add a price in settings`);
+      }
+    }
+    await this.saveSettings();
+
+    if (!wasOverBudget && this.isOverBudget()) {
+      new Notice(`Monthly AI budget of $${this.settings.monthlyBudget} reached. Automatic generation will now: ${BUDGET_ACTIONS[this.settings.budgetAction].toLowerCase()}`);
+    }
+  }
+
+  estimateCost(model, inputTokens, outputTokens) {
+    const price = this.settings.modelPrices?.[model];
+    if (!price) {
+      return 0;
+    }
+    return ((inputTokens || 0) * (price.input || 0) + (outputTokens || 0) * (price.output || 0)) / 1000000;
+  }
+
+  getMonthlyUsage(month = moment().format('YYYY-MM')) {
+    const entries = Object.values(this.settings.usage?.[month] || {});
+    return {
+      entries,
+      requests: entries.reduce((sum, entry) => sum + entry.requests, 0),
+      inputTokens: entries.reduce((sum, entry) => sum + entry.inputTokens, 0),
+      outputTokens: entries.reduce((sum, entry) => sum + entry.outputTokens, 0),
+      cost: entries.reduce((sum, entry) => sum + entry.cost, 0)
+    };
+  }
+
+  isOverBudget() {
+    const budget = this.settings.monthlyBudget || 0;
+    return budget > 0 && this.getMonthlyUsage().cost >= budget;
+  }
+
+  getProviderLabel(provider = this.settings.provider) {
+    return PROVIDER_LABELS[provider] || provider;
+  }
+
+  getActiveModel(provider = this.settings.provider) {
+    switch(provider) {
+      case 'claude':
+        return this.settings.claudeModel || 'claude-3-haiku-20240307';
+      case 'openai':
+        return this.settings.openaiModel || 'gpt-3.5-turbo';
+      case 'gemini':
+        return this.settings.geminiModel || 'gemini-pro';
+      case 'custom':
+        return this.settings.customModel || null;
+      default:
+        return null;
+    }
+  }
+
+  async requestFromProvider(prompt, schema, routes = this.getProviderChain(), options = {}) {
+    const failures = [];
+    let lastError = new Error('No AI provider is configured');
+
+    for (const { provider, model } of routes) {
+      try {
+        const payload = await this.requestWithRetry(provider, () => this.requestWords(provider, model, prompt, schema));
+        if (failures.length > 0) {
+          const message = `Used ${this.getProviderLabel(provider)} because ${failures.join('; ')}`;
+          if (options.background) {
+            console.warn(message);
+          } else {
+            new Notice(message);
+          }
+        }
+        return { provider, model, payload };
+      } catch (error) {
+        console.error(`${this.getProviderLabel(provider)} API error:`, error);
+        failures.push(`${this.getProviderLabel(provider)} ${this.describeRequestError(error)}`);
+        lastError = error;
+      }
+    }
+
+    const message = failures.length > 0
+      ? `All AI providers failed: ${failures.join('; ')}`
+      : 'No AI provider is configured';
+    if (options.background) {
+      console.error(message);
+    } else {
+      new Notice(message);
+    }
+    throw lastError;
+  }
+
+  async requestWords(provider, model, prompt, schema) {
+    switch(provider) {
+      case 'claude':
+        return await this.requestWordsFromClaude(prompt, schema, model);
+      case 'openai':
+        return await this.requestWordsFromOpenAI(prompt, schema, model);
+      case 'gemini':
+        return await this.requestWordsFromGemini(prompt, schema, model);
+      case 'custom':
+        return await this.requestWordsFromCustom(prompt, schema, model);
+      default:
+        throw new Error('Invalid AI provider selected');
+    }
+  }
+
+  async requestWithRetry(provider, request) {
+    const maxRetries = Math.max(0, this.settings.maxRetries ?? 2);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        if (attempt >= maxRetries || !this.isRetryableError(error)) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        if (delay > MAX_RETRY_AFTER) {
+          throw error;
+        }
+
+        console.warn(`${this.getProviderLabel(provider)} ${this.describeRequestError(error)}, retrying in ${Math.round(delay / 1000)}s`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  isRetryableError(error) {
+    if (error?.timeout) {
+      return true;
+    }
+    if (error?.status) {
+      return RETRYABLE_STATUSES.includes(error.status);
+    }
+    return NETWORK_ERROR_PATTERN.test(error?.message || String(error || ''));
+  }
+
+  getRetryDelay(error, attempt) {
+    const retryAfter = this.getRetryAfter(error);
+    if (retryAfter !== null && (error.status === 429 || error.status === 529)) {
+      return retryAfter;
+    }
+    return RETRY_BASE_DELAY * 2 ** attempt;
+  }
+
+  getRetryAfter(error) {
+    const headers = error?.headers || {};
+    const key = Object.keys(headers).find(name => name.toLowerCase() === 'retry-after');
+    if (!key) {
+      return null;
+    }
+
+    const value = String(headers[key]).trim();
+    if (/^\d+(\.\d+)?$/.test(value)) {
+      return parseFloat(value) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  describeRequestError(error) {
+    if (error?.timeout) {
+      return `timed out after ${this.settings.requestTimeout || 60}s`;
+    }
+
+    switch (error?.status) {
+      case undefined:
+        return `failed (${error?.message || 'network error'})`;
+      case 401:
+      case 403:
+        return `rejected the API key (${error.status})`;
+      case 429:
+        return 'was rate limited (429)';
+      case 529:
+        return 'was overloaded (529)';
+      default:
+        return `returned HTTP ${error.status}`;
+    }
+  }
+
+  withTimeout(promise) {
+    const seconds = this.settings.requestTimeout || 60;
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(Object.assign(new Error(`Request timed out after ${seconds}s`), { timeout: true }));
+      }, seconds * 1000);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  getRequestedFields(languages) {
+    return OPTIONAL_WORD_FIELDS
+      .filter(field => languages.some(lang => (lang.fields || []).includes(field.key)))
+      .concat(CONTENT_TYPE_FIELDS.filter(field =>
+        languages.some(lang => CONTENT_TYPES[getContentTypeKey(lang)].fields.includes(field))
+      ));
+  }
+
+  hasContentTypes(languages) {
+    return languages.some(lang => getContentTypeKey(lang) !== 'word');
+  }
+
+  buildResponseSchema(languages) {
+    const fieldKeys = WORD_FIELDS
+      .concat(this.hasContentTypes(languages) ? ['type'] : [])
+      .concat(this.getRequestedFields(languages).map(field => field.key));
+    const properties = {};
+    fieldKeys.forEach(key => {
+      properties[key] = { type: 'string' };
+    });
+
+    return {
+      type: 'object',
+      properties: {
+        words: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties,
+            required: fieldKeys,
+            additionalProperties: false
+          }
+        }
+      },
+      required: ['words'],
+      additionalProperties: false
+    };
+  }
+
+  isStructuredOutputEnabled(provider, model) {
+    return this.settings.structuredOutput !== false
+      && !this._structuredOutputUnsupported.has(`${provider}:${model}`);
+  }
+
+  async requestStructured(provider, model, buildRequest) {
+    const structured = this.isStructuredOutputEnabled(provider, model);
+
+    try {
+      return await this.withTimeout(requestUrl(buildRequest(structured)));
+    } catch (error) {
+      if (!structured || error?.status !== 400) {
+        throw error;
+      }
+
+      console.warn(`${this.getProviderLabel(provider)} model ${model} rejected structured output, retrying without it:`, error);
+      this._structuredOutputUnsupported.add(`${provider}:${model}`);
+      return await this.withTimeout(requestUrl(buildRequest(false)));
+    }
+  }
+
+  async requestWordsFromClaude(prompt, schema, model = this.getActiveModel('claude')) {
+    const response = await this.requestStructured('claude', model, (structured) => {
+      const body = {
+        model,
+        max_tokens: MAX_OUTPUT_TOKENS,
+        temperature: this.settings.temperature || 0.9,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      };
+
+      if (structured) {
+        body.tools = [{
+          name: 'record_words',
+          description: 'Record the generated words of the day',
+          input_schema: schema
+        }];
+        body.tool_choice = { type: 'tool', name: 'record_words' };
+      }
+
+      return {
+        url: 'https://api.anthropic.com/v1/messages',
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': this.settings.claudeApiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify(body)
+      };
+    });
+
+    const usage = response.json?.usage;
+    await this.recordUsage('claude', model, usage?.input_tokens, usage?.output_tokens);
+
+    const blocks = response.json?.content;
+    const toolUse = blocks?.find?.(block => block.type === 'tool_use');
+    if (toolUse?.input) {
+      return toolUse.input;
+    }
+
+    const content = blocks?.find?.(block => block.type === 'text')?.text;
+    if (!content) {
+      throw new Error('Invalid API response structure from Claude');
+    }
+
+    return content;
+  }
+
+  async requestWordsFromOpenAI(prompt, schema, model = this.getActiveModel('openai')) {
+    const response = await this.requestStructured('openai', model, (structured) => ({
+      url: 'https://api.openai.com/v1/chat/completions',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.settings.openaiApiKey}`
+      },
+      body: JSON.stringify(this.buildChatCompletionBody(model, prompt, structured, schema))
+    }));
+
+    const usage = response.json?.usage;
+    await this.recordUsage('openai', model, usage?.prompt_tokens, usage?.completion_tokens);
+
+    const content = response.json?.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new Error('Invalid API response structure from OpenAI');
+    }
+
+    return content;
+  }
+
+  async requestWordsFromGemini(prompt, schema, model = this.getActiveModel('gemini')) {
+    const response = await this.requestStructured('gemini', model, (structured) => {
+      const generationConfig = {
+        temperature: this.settings.temperature || 0.9,
+        maxOutputTokens: MAX_OUTPUT_TOKENS
+      };
+
+      if (structured) {
+        generationConfig.responseMimeType = 'application/json';
+        generationConfig.responseSchema = this.toGeminiSchema(schema);
+      }
+
+      return {
+        url: `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${this.settings.geminiApiKey}`,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          contents: [{
+            parts: [{
+              text: prompt
+            }]
+          }],
+          generationConfig
+        })
+      };
+    });
+
+    const usage = response.json?.usageMetadata;
+    await this.recordUsage('gemini', model, usage?.promptTokenCount, usage?.candidatesTokenCount);
+
+    const content = response.json?.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!content) {
+      throw new Error('Invalid API response structure from Gemini');
+    }
+
+    return content;
+  }
+
+  async requestWordsFromCustom(prompt, schema, model = this.getActiveModel('custom')) {
+    const response = await this.requestStructured('custom', model, (structured) => ({
+      url: `${this.getCustomBaseUrl()}/v1/chat/completions`,
+      method: 'POST',
+      headers: this.getCustomHeaders(),
+      body: JSON.stringify(Object.assign(
+        this.buildChatCompletionBody(model, prompt, structured, schema),
+        { stream: false }
+      ))
+    }));
+
+    const usage = response.json?.usage;
+    await this.recordUsage('custom', model, usage?.prompt_tokens, usage?.completion_tokens);
+
+    const content = response.json?.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new Error('Invalid API response structure from custom endpoint');
+    }
+
+    return content;
+  }
+
+  buildChatCompletionBody(model, prompt, structured, schema) {
+    const body = {
+      model,
+      messages: [{
+        role: 'user',
+        content: prompt
+      }],
+      max_tokens: MAX_OUTPUT_TOKENS,
+      temperature: this.settings.temperature || 0.9
+    };
+
+    if (structured) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: 'words_of_the_day',
+          strict: true,
+          schema
+        }
+      };
+    }
+
+    return body;
+  }
+
+  toGeminiSchema(schema) {
+    const converted = {};
+    Object.entries(schema).forEach(([key, value]) => {
+      if (key === 'additionalProperties') {
+        return;
+      }
+      if (key === 'properties') {
+        converted.properties = {};
+        Object.entries(value).forEach(([name, propertySchema]) => {
+          converted.properties[name] = this.toGeminiSchema(propertySchema);
+        });
+      } else if (key === 'items') {
+        converted.items = this.toGeminiSchema(value);
+      } else {
+        converted[key] = value;
+      }
+    });
+    return converted;
+  }
+
+  parseWordsResponse(payload) {
+    let data = payload;
+
+    if (typeof payload === 'string') {
+      const text = payload
+        .replace(/^\s*```[a-zA-Z]*\s*\n?/, '')
+        .replace(/\n?\s*```\s*$/, '')
+        .trim();
+
+      try {
+        data = JSON.parse(text);
       } catch (parseError) {
-        console.error('Failed to parse Gemini response as JSON:', parseError);
-        console.error('Matched content:', jsonMatch[0]);
-        throw new Error('Received invalid JSON from Gemini API');
+        const arrayMatch = text.match(/\[[\s\S]*\]/);
+        if (!arrayMatch) {
+          throw new Error('No JSON array found in response');
+        }
+        data = JSON.parse(arrayMatch[0]);
+      }
+    }
+
+    if (data && !Array.isArray(data) && Array.isArray(data.words)) {
+      data = data.words;
+    }
+
+    if (!Array.isArray(data)) {
+      throw new Error('Response is not an array');
+    }
+
+    return data;
+  }
+
+  parseJsonObject(payload) {
+    if (payload && typeof payload === 'object') {
+      return payload;
+    }
+
+    const text = String(payload)
+      .replace(/^\s*```[a-zA-Z]*\s*\n?/, '')
+      .replace(/\n?\s*```\s*$/, '')
+      .trim();
+
+    try {
+      return JSON.parse(text);
+    } catch (parseError) {
+      const objectMatch = text.match(/\{[\s\S]*\}/);
+      if (!objectMatch) {
+        throw new Error('No JSON object found in response');
+      }
+      return JSON.parse(objectMatch[0]);
+    }
+  }
+
+  validateWords(entries, languages) {
+    const valid = [];
+    const missing = [];
+    const problems = [];
+
+    languages.forEach(lang => {
+      const contentType = getContentTypeKey(lang);
+      const label = this.getEntryLabel(lang);
+      const sharesLanguage = languages.some(other => other !== lang && other.name.toLowerCase() === lang.name.toLowerCase());
+      const candidates = entries.filter(entry =>
+        entry && typeof entry === 'object'
+        && String(entry.language || '').trim().toLowerCase() === lang.name.toLowerCase()
+        && (!sharesLanguage || (String(entry.type || '').trim().toLowerCase() || 'word') === contentType)
+      );
+
+      if (candidates.length === 0) {
+        missing.push(lang);
+        problems.push(`${label}: no entry was returned`);
+        return;
+      }
+
+      const count = lang.count || 1;
+      const accepted = [];
+      const entryProblems = [];
+      const typeFields = CONTENT_TYPES[contentType].fields;
+
+      candidates.forEach(entry => {
+        if (accepted.length >= count) {
+          return;
+        }
+
+        typeFields.forEach(field => {
+          if (typeof entry[field.key] === 'number' || Array.isArray(entry[field.key])) {
+            entry[field.key] = [].concat(entry[field.key]).join(field.key === 'drills' ? ' | ' : ', ');
+          }
+        });
+
+        const emptyFields = WORD_FIELDS.concat(typeFields.map(field => field.key)).filter(field =>
+          typeof entry[field] !== 'string' || entry[field].trim() === ''
+        );
+
+        if (emptyFields.length > 0) {
+          entryProblems.push(`${label}: missing or empty ${emptyFields.map(field => `"${field}"`).join(', ')}`);
+          return;
+        }
+
+        if (accepted.some(wordData => normalizeWordKey(wordData.word, lang.name) === normalizeWordKey(entry.word, lang.name))) {
+          entryProblems.push(`${label}: "${entry.word.trim()}" was returned more than once`);
+          return;
+        }
+
+        const wordData = {
+          language: lang.name,
+          word: entry.word.trim(),
+          definition: entry.definition.trim(),
+          example: entry.example.trim(),
+          difficulty: lang.difficulty
+        };
+
+        if (contentType !== 'word') {
+          wordData.contentType = contentType;
+          typeFields.forEach(field => {
+            wordData[field.key] = entry[field.key].trim();
+          });
+        }
+
+        OPTIONAL_WORD_FIELDS
+          .filter(field => (lang.fields || []).includes(field.key))
+          .forEach(field => {
+            let value = entry[field.key];
+            if (Array.isArray(value)) {
+              value = value.join(', ');
+            }
+            if (typeof value === 'string' && value.trim() !== '') {
+              wordData[field.key] = value.trim();
+            }
+          });
+
+        accepted.push(wordData);
+      });
+
+      valid.push(...accepted);
+      if (accepted.length < count) {
+        missing.push(Object.assign({}, lang, { count: count - accepted.length }));
+        problems.push(...entryProblems);
+        if (entryProblems.length === 0) {
+          problems.push(`${label}: expected ${count} entries but got ${accepted.length}`);
+        }
+      }
+    });
+
+    return { valid, missing, problems };
+  }
+
+  buildPrompt(languages, problems = [], variation = null) {
+    const context = this.buildPromptContext(languages, problems);
+    let template = this.settings.promptTemplate;
+    if (!template || !template.trim()) {
+      template = DEFAULT_PROMPT_VARIATIONS[variation ?? Math.floor(Math.random() * DEFAULT_PROMPT_VARIATIONS.length)];
+    } else if (!template.includes('{{problems}}')) {
+      template += '{{problems}}';
+    }
+
+    return renderTemplate(template, context);
+  }
+
+  buildPromptPreview(date = moment()) {
+    const periods = [
+      { label: 'today', languages: this.getScheduledLanguages(date) },
+      { label: 'this week', languages: this.getScheduledLanguages(date, 'week') }
+    ].filter(period => period.languages.length > 0);
+
+    if (periods.length === 0) {
+      return 'No languages are scheduled today or this week.';
+    }
+
+    const sections = [];
+    periods.forEach(period => {
+      const requests = this.groupLanguagesByRoute(period.languages).flatMap(group =>
+        this.splitIntoBatches(group.languages).map(batch => ({ routes: group.routes, batch }))
+      );
+      requests.forEach((request, index) => {
+        const route = request.routes[0];
+        const target = route ? `${this.getProviderLabel(route.provider)} (${route.model})` : 'no configured provider';
+        sections.push(`=== ${period.label}: request ${index + 1} of ${requests.length} to ${target} ===\n\n${this.buildPrompt(request.batch, [], 0)}`);
+      });
+    });
+
+    return sections.join('\n\n');
+  }
+
+  buildPromptContext(languages, problems = []) {
+    const languageRequests = languages.map(lang => {
+      const contentType = CONTENT_TYPES[getContentTypeKey(lang)];
+      let request = `- ${lang.name} (${this.getLevelLabel(lang)} level)`;
+      if ((lang.count || 1) > 1) {
+        request += `, ${lang.count} different ${contentType.plural}`;
+      } else if (contentType !== CONTENT_TYPES.word) {
+        request += `: ${contentType.name.toLowerCase()}`;
+      }
+
+      if (contentType.prompt) {
+        request += `\n  ${contentType.prompt}. Set "type" to "${getContentTypeKey(lang)}"`;
+      }
+
+      request += `\n  Write the definition in ${this.getNativeLanguage(lang)}`;
+
+      if ((lang.topics || []).length > 0) {
+        request += `\n  Choose a word related to one of these topics: ${lang.topics.join(', ')}`;
+      }
+
+      const tooEasy = this.getFeedbackExamples(lang.name, 'knew', 5, getContentTypeKey(lang));
+      if (tooEasy.length > 0) {
+        request += `\n  The learner already knew these words, so aim slightly harder: ${tooEasy.join(', ')}`;
+      }
+
+      const tooHard = this.getFeedbackExamples(lang.name, 'hard', 5, getContentTypeKey(lang));
+      if (tooHard.length > 0) {
+        request += `\n  The learner found these words too hard, so aim slightly easier: ${tooHard.join(', ')}`;
+      }
+
+      const fields = contentType.fields.concat(OPTIONAL_WORD_FIELDS.filter(field => (lang.fields || []).includes(field.key)));
+      if (fields.length > 0) {
+        request += `\n  Also include: ${fields.map(field => `${field.key}: ${this.describeField(field, lang)}`).join('; ')}`;
+      }
+
+      if (lang.instructions && lang.instructions.trim()) {
+        request += `\n  ${lang.instructions.trim().replace(/\n+/g, ' ')}`;
+      }
+
+      return request;
+    }).join('\n');
+
+    const history = languages
+      .map(lang => ({ lang, words: this.getWordHistory(lang.name, getContentTypeKey(lang)).slice(-20) }))
+      .filter(item => item.words.length > 0)
+      .map(item => `- ${this.getEntryLabel(item.lang)}: ${item.words.join(', ')}`)
+      .join('\n');
+
+    const requestedFields = this.getRequestedFields(languages);
+    const optionalSample = requestedFields
+      .map(field => `,\n    "${field.key}": "${field.sample}"`)
+      .join('');
+    const optionalNote = requestedFields.length > 0
+      ? ' Extra fields only apply to the languages that ask for them; use an empty string otherwise.'
+      : '';
+
+    const typeSample = this.hasContentTypes(languages) ? '\n    "type": "word",' : '';
+    const typeNote = this.hasContentTypes(languages)
+      ? ' Set "type" to the type given for the language, or "word" when none is given.'
+      : '';
+
+    const schema = `Return ONLY a JSON array with this exact structure (no additional text, no markdown formatting):
+[
+  {
+    "language": "Language Name",${typeSample}
+    "word": "the word",
+    "definition": "clear definition",
+    "example": "example sentence using the word"${optionalSample}
+  }
+]
+
+Include exactly one entry for each language listed above${languages.some(lang => (lang.count || 1) > 1) ? ' (or the stated number of entries when a language asks for several different words)' : ''}, using the language name exactly as written. The language, word, definition and example fields must be non-empty strings.${typeNote}${optionalNote}`;
+
+    return {
+      date: moment().format('YYYY-MM-DD'),
+      languages: languageRequests,
+      history,
+      guidelines: this.buildLevelGuidelines(languages),
+      schema,
+      problems: this.buildProblemsSection(problems)
+    };
+  }
+
+  describeField(field, lang = null) {
+    return field.prompt.replace('{{nativeLanguage}}', this.getNativeLanguage(lang));
+  }
+
+  getNativeLanguage(lang = null) {
+    return lang?.nativeLanguage || this.settings.nativeLanguage || 'English';
+  }
+
+  getLevelScale(lang) {
+    return LEVEL_SCALES[lang.scale] || LEVEL_SCALES.general;
+  }
+
+  getLevelLabel(lang) {
+    const scale = this.getLevelScale(lang);
+    return scale === LEVEL_SCALES.general ? lang.difficulty : `${scale.name} ${lang.difficulty}`;
+  }
+
+  buildLevelGuidelines(languages) {
+    const lines = [];
+
+    languages.forEach(lang => {
+      const level = this.getLevelScale(lang).levels.find(item => item.key === lang.difficulty);
+      const line = `- ${this.getLevelLabel(lang)}: ${level ? level.guidance : 'Words appropriate for this level'}`;
+      if (!lines.includes(line)) {
+        lines.push(line);
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+  buildProblemsSection(problems) {
+    if (!problems || problems.length === 0) {
+      return '';
+    }
+
+    return `\n\nA previous response had these problems. Make sure your answer fixes them:\n${problems.map(problem => `- ${problem}`).join('\n')}`;
+  }
+
+  async appendToDailyNote(file, markdownText, notify = true) {
+    try {
+      let added = false;
+      await this.app.vault.process(file, (data) => {
+        if (this.hasVocabularyBlock(data)) {
+          return data;
+        }
+        added = true;
+        return insertVocabularyBlock(data, markdownText, this.settings.placement, this.settings.placementHeading);
+      });
+      if (added && notify) {
+        new Notice('Words of the Day added to daily note');
+      }
+      return added;
+    } catch (error) {
+      console.error("Error appending to daily note:", error);
+      new Notice('Error adding words to daily note');
+      return false;
+    }
+  }
+
+  async replaceInDailyNote(file, markdownText, insertIfMissing = true) {
+    try {
+      let changed = false;
+      await this.app.vault.process(file, (data) => {
+        const block = findVocabularyBlock(data);
+        if (block) {
+          changed = true;
+          return data.slice(0, block.start) + markdownText + data.slice(block.end);
+        }
+        if (!insertIfMissing) {
+          return data;
+        }
+        changed = true;
+        return insertVocabularyBlock(data, markdownText, this.settings.placement, this.settings.placementHeading);
+      });
+      return changed;
+    } catch (error) {
+      console.error('Error updating daily note:', error);
+      new Notice('Error updating words in daily note');
+      return false;
+    }
+  }
+
+  async regenerateTodaysWords() {
+    if (!this.getDailyNoteConfig()) {
+      new Notice("Daily Notes plugin is not configured.");
+      return;
+    }
+
+    const words = await this.getWordsForDate(moment(), { regenerate: true });
+    if (!words || words.length === 0) {
+      return;
+    }
+
+    let file;
+    try {
+      file = await this.getOrCreateNote();
+    } catch (error) {
+      console.error('Error creating daily note:', error);
+      new Notice('Could not create daily note');
+      return;
+    }
+
+    if (await this.replaceInDailyNote(file, this.renderVocabularyBlock(words))) {
+      new Notice('Today\'s words regenerated');
+    }
+  }
+
+  async updateNoteWords(date = moment(), period = 'day') {
+    const file = this.app.vault.getAbstractFileByPath(this.getNotePath(date, period) || '');
+    const words = this.getCachedWords(date, period);
+    if (!file || words.length === 0) {
+      return;
+    }
+    await this.replaceInDailyNote(file, this.renderVocabularyBlock(words, date), false);
+  }
+
+  async appendWordsToDailyNote(markdownText, period = 'day') {
+    if (!this.getNoteConfig(period)) {
+      new Notice("Daily Notes plugin is not configured.");
+      return;
+    }
+
+    let file;
+    try {
+      file = await this.getOrCreateNote(moment(), period);
+    } catch (error) {
+      console.error(`Error creating ${period === 'week' ? 'weekly' : 'daily'} note:`, error);
+      new Notice(`Could not create ${period === 'week' ? 'weekly' : 'daily'} note`);
+      return;
+    }
+    
+    await this.appendToDailyNote(file, markdownText);
+  }
+
+  getPeriodicNotesConfig(granularity) {
+    const settings = this.app.plugins?.getPlugin?.('periodic-notes')?.settings;
+    if (!settings) {
+      return null;
+    }
+
+    const activeSet = settings.calendarSets?.find(set => set.id === settings.activeCalendarSet);
+    const config = activeSet ? activeSet[granularity] : settings[granularity];
+    if (!config?.enabled) {
+      return null;
+    }
+
+    return {
+      folder: config.folder || '',
+      format: config.format || '',
+      template: config.template || config.templatePath || ''
+    };
+  }
+
+  getDailyNoteConfig() {
+    const periodicDaily = this.getPeriodicNotesConfig('daily') || this.getPeriodicNotesConfig('day');
+    if (periodicDaily) {
+      return Object.assign(periodicDaily, {
+        format: periodicDaily.format || 'YYYY-MM-DD'
+      });
+    }
+
+    const dailyNotesConfig = this.app.internalPlugins.plugins["daily-notes"]?.instance?.options;
+    if (!dailyNotesConfig) {
+      return null;
+    }
+
+    return {
+      folder: dailyNotesConfig.folder || '',
+      format: dailyNotesConfig.format || 'YYYY-MM-DD',
+      template: dailyNotesConfig.template || ''
+    };
+  }
+
+  getWeeklyNoteConfig() {
+    const periodicWeekly = this.getPeriodicNotesConfig('weekly') || this.getPeriodicNotesConfig('week');
+    if (periodicWeekly) {
+      return Object.assign(periodicWeekly, {
+        format: periodicWeekly.format || DEFAULT_SETTINGS.weeklyNoteFormat
+      });
+    }
+
+    return {
+      folder: this.settings.weeklyNoteFolder || '',
+      format: this.settings.weeklyNoteFormat || DEFAULT_SETTINGS.weeklyNoteFormat,
+      template: ''
+    };
+  }
+
+  getNoteConfig(period = 'day') {
+    return period === 'week' ? this.getWeeklyNoteConfig() : this.getDailyNoteConfig();
+  }
+
+  getNotePath(date = moment(), period = 'day') {
+    const config = this.getNoteConfig(period);
+    if (!config) {
+      return null;
+    }
+
+    const noteDate = period === 'week' ? moment(date).startOf('week') : moment(date);
+    return normalizePath(`${config.folder}/${noteDate.format(config.format)}.md`);
+  }
+
+  getNoteDate(file, period = 'day') {
+    const config = this.getNoteConfig(period);
+    if (!config || file.extension !== 'md') {
+      return null;
+    }
+
+    const folder = config.folder ? `${normalizePath(config.folder)}/` : '';
+    if (!file.path.startsWith(folder)) {
+      return null;
+    }
+
+    const relativePath = file.path.slice(folder.length).replace(/\.md$/, '');
+    const date = moment(relativePath, config.format, true);
+
+    return date.isValid() ? date : null;
+  }
+
+  isDailyNoteFile(file) {
+    return this.getNoteDate(file) !== null;
+  }
+
+  isTodaysDailyNote(file) {
+    const date = this.getNoteDate(file);
+    return date !== null && date.isSame(moment(), 'day');
+  }
+
+  isThisWeeksNote(file) {
+    const date = this.getNoteDate(file, 'week');
+    return date !== null && date.isSame(moment(), 'week');
+  }
+
+  async getOrCreateNote(date = moment(), period = 'day') {
+    const path = this.getNotePath(date, period);
+    const existing = this.app.vault.getAbstractFileByPath(path);
+    if (existing) {
+      return existing;
+    }
+
+    const config = this.getNoteConfig(period);
+    await this.ensureFolder(path.substring(0, path.lastIndexOf('/')));
+
+    const title = path.split('/').pop().replace(/\.md$/, '');
+    const contents = await this.renderNoteTemplate(config, moment(date), title);
+
+    return await this.app.vault.create(path, contents);
+  }
+
+  async renderNoteTemplate(config, date, title) {
+    const templatePath = config.template;
+    if (!templatePath) {
+      return '';
+    }
+
+    const templateFile = this.app.metadataCache.getFirstLinkpathDest(templatePath, '')
+      || this.app.vault.getAbstractFileByPath(normalizePath(templatePath.endsWith('.md') ? templatePath : `${templatePath}.md`));
+
+    if (!templateFile) {
+      console.warn(`Note template not found: ${templatePath}`);
+      new Notice(`Note template "${templatePath}" not found`);
+      return '';
+    }
+
+    const template = await this.app.vault.cachedRead(templateFile);
+
+    return template
+      .replace(/{{\s*(date|time)\s*(([+-]\d+)([yqmwdhs]))?\s*(:(.+?))?\s*}}/gi, (match, type, offset, amount, unit, formatPart, format) => {
+        const value = date.clone().set({
+          hour: moment().hour(),
+          minute: moment().minute(),
+          second: moment().second()
+        });
+        if (offset) {
+          value.add(parseInt(amount, 10), unit);
+        }
+        if (format) {
+          return value.format(format.trim());
+        }
+        return value.format(type.toLowerCase() === 'time' ? 'HH:mm' : config.format || 'YYYY-MM-DD');
+      })
+      .replace(/{{\s*yesterday\s*}}/gi, date.clone().subtract(1, 'day').format(config.format))
+      .replace(/{{\s*tomorrow\s*}}/gi, date.clone().add(1, 'day').format(config.format))
+      .replace(/{{\s*title\s*}}/gi, title);
+  }
+
+  async findNotesMissingVocabulary(startDate, endDate) {
+    const start = moment(startDate).startOf('day');
+    const end = moment(endDate).endOf('day');
+    const targets = [];
+
+    for (const file of this.app.vault.getMarkdownFiles()) {
+      const date = this.getNoteDate(file);
+      if (!date || date.isBefore(start) || date.isAfter(end) || this.getScheduledLanguages(date).length === 0) {
+        continue;
+      }
+
+      const content = await this.app.vault.read(file);
+      if (!this.hasVocabularyBlock(content)) {
+        targets.push({ date, file });
+      }
+    }
+
+    return targets.sort((a, b) => a.date.valueOf() - b.date.valueOf());
+  }
+
+  async backfillNotes(targets, options = {}) {
+    const batchSize = Math.max(1, options.batchSize || 5);
+    const pauseMs = Math.max(0, options.pauseSeconds ?? 10) * 1000;
+    const result = { added: 0, failed: 0, cancelled: false };
+
+    for (let i = 0; i < targets.length; i++) {
+      if (options.isCancelled?.()) {
+        result.cancelled = true;
+        break;
+      }
+
+      if (i > 0 && i % batchSize === 0 && pauseMs > 0) {
+        options.onProgress?.(`Pausing ${pauseMs / 1000}s before the next batch...`);
+        for (let waited = 0; waited < pauseMs && !options.isCancelled?.(); waited += 250) {
+          await sleep(Math.min(250, pauseMs - waited));
+        }
+        if (options.isCancelled?.()) {
+          result.cancelled = true;
+          break;
+        }
+      }
+
+      const { date, file } = targets[i];
+      options.onProgress?.(`Generating words for ${file.basename} (${i + 1}/${targets.length})`);
+
+      const markdownText = await this.fetchAllWordsOfTheDay(date);
+      if (markdownText && await this.appendToDailyNote(file, markdownText, false)) {
+        result.added++;
+      } else {
+        result.failed++;
+      }
+    }
+
+    return result;
+  }
+}
+
+class ReviewModal extends Modal {
+  constructor(app, plugin, items) {
+    super(app);
+    this.plugin = plugin;
+    this.items = items;
+    this.index = 0;
+    this.reviewed = 0;
+  }
+
+  onOpen() {
+    this.titleEl.setText('Review due words');
+    this.renderCard();
+  }
+
+  onClose() {
+    this.contentEl.empty();
+    if (this.reviewed > 0) {
+      new Notice(`Reviewed ${this.reviewed} word${this.reviewed === 1 ? '' : 's'}`);
+    }
+  }
+
+  renderCard() {
+    const { contentEl } = this;
+    contentEl.empty();
+
+    if (this.index >= this.items.length) {
+      contentEl.createEl('p', { text: 'All due words reviewed. Nice work!' });
+      new Setting(contentEl)
+        .addButton(button => button
+          .setButtonText('Close')
+          .setCta()
+          .onClick(() => this.close())
+        );
+      return;
+    }
+
+    const item = this.items[this.index];
+
+    contentEl.createEl('p', {
+      text: `${this.index + 1} / ${this.items.length} · ${item.language}`,
+      cls: 'setting-item-description'
+    });
+    contentEl.createEl('h2', { text: item.word });
+
+    const answerEl = contentEl.createDiv();
+    const actions = new Setting(contentEl);
+
+    actions.addButton(button => button
+      .setButtonText('Show answer')
+      .setCta()
+      .onClick(() => {
+        const definitionEl = answerEl.createEl('p');
+        definitionEl.createEl('em', { text: 'Definition:' });
+        definitionEl.appendText(` ${item.definition}`);
+
+        const exampleEl = answerEl.createEl('p');
+        exampleEl.createEl('em', { text: 'Example:' });
+        exampleEl.appendText(` ${item.example}`);
+
+        actions.controlEl.empty();
+        REVIEW_GRADES.forEach(grade => {
+          actions.addButton(gradeButton => gradeButton
+            .setButtonText(grade.label)
+            .onClick(async () => {
+              await this.plugin.gradeReviewItem(item, grade.quality);
+              this.reviewed++;
+              this.index++;
+              this.renderCard();
+            })
+          );
+        });
+      })
+    );
+  }
+}
+
+class WordOfTheDayView extends ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.plugin = plugin;
+    this.filters = { query: '', language: '', difficulty: '', from: '', to: '' };
+  }
+
+  getViewType() {
+    return VIEW_TYPE_WOTD;
+  }
+
+  getDisplayText() {
+    return 'Word of the Day';
+  }
+
+  getIcon() {
+    return 'book-open';
+  }
+
+  async onOpen() {
+    this.render();
+  }
+
+  async onClose() {
+    this.contentEl.empty();
+  }
+
+  render() {
+    const { contentEl } = this;
+    contentEl.empty();
+
+    this.renderPeriod(contentEl, 'day');
+    if (this.plugin.settings.languages.some(lang => lang.enabled && lang.schedule === 'weekly')) {
+      this.renderPeriod(contentEl, 'week');
+    }
+    this.renderHistory(contentEl);
+  }
+
+  renderPeriod(containerEl, period) {
+    const label = period === 'week' ? 'this week' : 'today';
+    new Setting(containerEl).setName(period === 'week' ? 'This week' : 'Today').setHeading();
+
+    const words = this.plugin.getCachedWords(moment(), period);
+    const scheduledLanguages = this.plugin.getScheduledLanguages(moment(), period);
+
+    if (scheduledLanguages.length === 0) {
+      new Setting(containerEl).setDesc(`No languages are scheduled for ${label}`);
+      return;
+    }
+
+    if (words.length === 0) {
+      new Setting(containerEl)
+        .setDesc(`No words yet for ${label}`)
+        .addButton(button => button
+          .setButtonText(`Get ${label}'s words`)
+          .setCta()
+          .onClick(async () => {
+            button.setDisabled(true);
+            const markdownText = await this.plugin.fetchAllWordsOfTheDay(moment(), { period });
+            if (markdownText) {
+              await this.plugin.appendWordsToDailyNote(markdownText, period);
+            }
+            this.render();
+          })
+        );
+      return;
+    }
+
+    scheduledLanguages.forEach(lang => {
+      const languageWords = words.filter(item => isSameEntry(item, lang));
+      const label = this.plugin.getEntryLabel(lang);
+      const setting = new Setting(containerEl)
+        .setName(languageWords.length > 0 ? `${label}: ${languageWords.map(wordData => wordData.word).join(', ')}` : label)
+        .setDesc(languageWords.length > 0 ? '' : 'No word yet');
+
+      languageWords.forEach(wordData => {
+        const item = setting.descEl.createEl('div');
+        item.createEl('div', { text: languageWords.length > 1 ? `${wordData.word}: ${wordData.definition}` : wordData.definition });
+        item.createEl('div').createEl('em', { text: wordData.example });
+      });
+
+      setting.addExtraButton(button => button
+        .setIcon('refresh-cw')
+        .setTooltip(`${languageWords.length > 0 ? 'Replace' : 'Get'} ${label}`)
+        .onClick(async () => {
+          button.setDisabled(true);
+          await this.plugin.regenerateWord(lang, moment(), period);
+          this.render();
+        })
+      );
+    });
+  }
+
+  renderHistory(containerEl) {
+    new Setting(containerEl).setName('History').setHeading();
+
+    const records = this.plugin.getHistoryRecords();
+    const languages = [...new Set(records.map(record => record.language))].sort();
+    const difficulties = [...new Set(records.map(record => record.difficulty).filter(Boolean))].sort();
+
+    new Setting(containerEl)
+      .addSearch(search => search
+        .setPlaceholder('Search words and definitions')
+        .setValue(this.filters.query)
+        .onChange(value => {
+          this.filters.query = value;
+          this.renderResults();
+        })
+      );
+
+    new Setting(containerEl)
+      .addDropdown(dropdown => {
+        dropdown.addOption('', 'All languages');
+        languages.forEach(language => dropdown.addOption(language, language));
+        dropdown
+          .setValue(this.filters.language)
+          .onChange(value => {
+            this.filters.language = value;
+            this.renderResults();
+          });
+      })
+      .addDropdown(dropdown => {
+        dropdown.addOption('', 'All levels');
+        difficulties.forEach(difficulty => dropdown.addOption(difficulty, difficulty));
+        dropdown
+          .setValue(this.filters.difficulty)
+          .onChange(value => {
+            this.filters.difficulty = value;
+            this.renderResults();
+          });
+      });
+
+    new Setting(containerEl)
+      .setName('Dates')
+      .addText(text => {
+        text.inputEl.type = 'date';
+        text.setValue(this.filters.from).onChange(value => {
+          this.filters.from = value;
+          this.renderResults();
+        });
+      })
+      .addText(text => {
+        text.inputEl.type = 'date';
+        text.setValue(this.filters.to).onChange(value => {
+          this.filters.to = value;
+          this.renderResults();
+        });
+      });
+
+    this.resultsEl = containerEl.createDiv();
+    this.renderResults();
+  }
+
+  getFilteredRecords() {
+    const query = this.filters.query.trim().toLowerCase();
+
+    return this.plugin.getHistoryRecords(this.filters.language || null)
+      .filter(record => {
+        if (this.filters.difficulty && record.difficulty !== this.filters.difficulty) {
+          return false;
+        }
+        if (this.filters.from && (!record.date || record.date < this.filters.from)) {
+          return false;
+        }
+        if (this.filters.to && (!record.date || record.date > this.filters.to)) {
+          return false;
+        }
+        return !query
+          || record.word.toLowerCase().includes(query)
+          || (record.definition || '').toLowerCase().includes(query);
+      })
+      .reverse();
+  }
+
+  renderResults() {
+    const resultsEl = this.resultsEl;
+    resultsEl.empty();
+
+    const records = this.getFilteredRecords();
+    resultsEl.createEl('p', {
+      text: records.length > HISTORY_VIEW_LIMIT
+        ? `Showing ${HISTORY_VIEW_LIMIT} of ${records.length} words`
+        : `${records.length} word${records.length === 1 ? '' : 's'}`,
+      cls: 'setting-item-description'
+    });
+
+    records.slice(0, HISTORY_VIEW_LIMIT).forEach(record => {
+      const typeName = getContentTypeKey(record) === 'word' ? null : CONTENT_TYPES[record.contentType].name;
+      const details = [record.language, typeName, record.difficulty, record.date].filter(Boolean).join(' · ');
+      const setting = new Setting(resultsEl)
+        .setName(record.word)
+        .setDesc(record.definition ? `${details} — ${record.definition}` : details);
+
+      if (record.date) {
+        setting.settingEl.addClass('is-clickable');
+        setting.settingEl.setAttr('aria-label', `Open daily note for ${record.date}`);
+        setting.settingEl.addEventListener('click', () => this.plugin.openDailyNote(record.date));
+      }
+    });
+  }
+}
+
+class WordsCodeBlock extends MarkdownRenderChild {
+  constructor(containerEl, plugin, source, sourcePath) {
+    super(containerEl);
+    this.plugin = plugin;
+    this.source = source;
+    this.sourcePath = sourcePath;
+    this.randomWords = null;
+  }
+
+  onload() {
+    this.plugin._codeBlocks.add(this);
+    this.render();
+  }
+
+  onunload() {
+    this.plugin._codeBlocks.delete(this);
+  }
+
+  async render() {
+    const { options, errors } = this.plugin.parseCodeBlockOptions(this.source);
+    const { containerEl } = this;
+
+    if (errors.length > 0) {
+      containerEl.empty();
+      containerEl.createEl('p', { text: `Word of the Day: ${errors.join('; ')}` });
+      return;
+    }
+
+    try {
+      const words = options.random && this.randomWords
+        ? this.randomWords
+        : await this.plugin.getCodeBlockWords(options);
+      if (options.random) {
+        this.randomWords = words;
+      }
+      containerEl.empty();
+
+      if (words.length === 0) {
+        containerEl.createEl('p', {
+          text: options.date ? `No words for ${options.date}` : 'No words in your history yet',
+          cls: 'setting-item-description'
+        });
+        return;
       }
 
-      if (!Array.isArray(words)) {
-        throw new Error('Gemini API response is not an array');
-      }
+      const date = options.date || moment().format('YYYY-MM-DD');
+      await MarkdownRenderer.render(this.plugin.app, this.plugin.renderWords(words, date), containerEl, this.sourcePath, this);
+    } catch (error) {
+      console.error('Error rendering wotd block:', error);
+      containerEl.empty();
+      containerEl.createEl('p', { text: 'Word of the Day: could not load words. Check console for details.' });
+    }
+  }
+}
+
+class FeedbackModal extends Modal {
+  constructor(app, plugin, words) {
+    super(app);
+    this.plugin = plugin;
+    this.words = words;
+  }
+
+  onOpen() {
+    this.titleEl.setText('Rate today\'s words');
+    this.render();
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+
+  render() {
+    const { contentEl } = this;
+    contentEl.empty();
+
+    contentEl.createEl('p', {
+      text: 'Your ratings are used to adjust each language\'s difficulty over time.',
+      cls: 'setting-item-description'
+    });
+
+    this.words.forEach(wordData => {
+      const current = this.plugin.getWordFeedback(wordData.language, wordData.word, getContentTypeKey(wordData));
+      const setting = new Setting(contentEl)
+        .setName(`${wordData.word} (${wordData.language})`)
+        .setDesc(wordData.definition);
+
+      FEEDBACK_OPTIONS.forEach(option => {
+        setting.addButton(button => {
+          button
+            .setButtonText(option.label)
+            .onClick(async () => {
+              await this.plugin.setWordFeedback(wordData.language, wordData.word, option.key, getContentTypeKey(wordData));
+              this.render();
+            });
+          if (current === option.key) {
+            button.setCta();
+          }
+        });
+      });
+    });
+
+    new Setting(contentEl)
+      .addButton(button => button
+        .setButtonText('Done')
+        .onClick(() => this.close())
+      );
+  }
+}
+
+class QuizModal extends Modal {
+  constructor(app, plugin) {
+    super(app);
+    this.plugin = plugin;
+    this.language = '';
+    this.count = plugin.settings.quizLength || 10;
+    this.questions = [];
+    this.results = [];
+    this.index = 0;
+  }
+
+  onOpen() {
+    this.titleEl.setText('Vocabulary quiz');
+    this.renderSetup();
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+
+  renderSetup() {
+    const { contentEl } = this;
+    contentEl.empty();
+
+    const languages = [...new Set(this.plugin.getKnownWords().map(wordData => wordData.language))];
+
+    new Setting(contentEl)
+      .setName('Language')
+      .addDropdown(dropdown => {
+        dropdown.addOption('', 'All languages');
+        languages.forEach(language => dropdown.addOption(language, language));
+        dropdown.setValue(this.language);
+        dropdown.onChange(value => this.language = value);
+      });
+
+    new Setting(contentEl)
+      .setName('Questions')
+      .addText(text => text
+        .setValue(String(this.count))
+        .onChange(value => {
+          const numValue = parseInt(value);
+          if (!isNaN(numValue) && numValue > 0) {
+            this.count = numValue;
+          }
+        })
+      );
+
+    new Setting(contentEl)
+      .addButton(button => button
+        .setButtonText('Start')
+        .setCta()
+        .onClick(async () => {
+          button.setDisabled(true);
+          button.setButtonText('Preparing...');
+          this.questions = await this.plugin.buildQuizQuestions(this.language || null, this.count);
+          this.results = [];
+          this.index = 0;
+          this.renderQuestion();
+        })
+      );
+  }
+
+  renderQuestion() {
+    const { contentEl } = this;
+    contentEl.empty();
+
+    if (this.index >= this.questions.length) {
+      this.renderSummary().catch(error => {
+        console.error('Error showing quiz summary:', error);
+        new Notice('Error showing quiz summary. Check console for details.');
+      });
+      return;
+    }
+
+    const question = this.questions[this.index];
+    const instructions = {
+      'multiple-choice': 'Which word matches this definition?',
+      'word-to-definition': 'What does this word mean?',
+      'definition-to-word': 'Type the word for this definition',
+      'cloze': 'Fill in the missing word'
+    };
 
-      return words;
-    } catch (error) {
-      console.error('Gemini API error:', error);
-      new Notice('Failed to fetch words from Gemini API. Please try again.');
-      throw error;
+    contentEl.createEl('p', {
+      text: `${this.index + 1} / ${this.questions.length} · ${question.item.language}`,
+      cls: 'setting-item-description'
+    });
+    contentEl.createEl('p', { text: instructions[question.type] });
+    contentEl.createEl('h3', { text: question.prompt });
+
+    if (question.options) {
+      question.options.forEach(option => {
+        new Setting(contentEl)
+          .setName(option)
+          .addButton(button => button
+            .setButtonText('Choose')
+            .onClick(() => this.answer(option))
+          );
+      });
+    } else {
+      let answerInput;
+      new Setting(contentEl)
+        .addText(text => {
+          answerInput = text;
+          text.inputEl.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+              this.answer(text.getValue());
+            }
+          });
+        })
+        .addButton(button => button
+          .setButtonText('Check')
+          .setCta()
+          .onClick(() => this.answer(answerInput.getValue()))
+        );
+      answerInput.inputEl.focus();
     }
   }
 
-  buildPrompt(languages) {
-    const languageRequests = languages.map(lang => {
-      const history = this.getWordHistory(lang.name);
-      let request = `- ${lang.name} (${lang.difficulty} level)`;
+  answer(value) {
+    const question = this.questions[this.index];
+    const correct = this.plugin.isQuizAnswerCorrect(question, value);
+    this.results.push({ question, answer: value, correct });
+    this.plugin.recordQuizResult(question.item, correct);
 
-      if (history.length > 0) {
-        const recentWords = history.slice(-20).join(', ');
-        request += `\n  Previously used words to AVOID: ${recentWords}`;
-      }
+    const { contentEl } = this;
+    contentEl.empty();
 
-      return request;
-    }).join('\n');
+    contentEl.createEl('h3', { text: correct ? 'Correct!' : 'Not quite' });
+    contentEl.createEl('p').createEl('strong', { text: question.item.word });
+    contentEl.createEl('p', { text: question.item.definition });
+    contentEl.createEl('p').createEl('em', { text: question.item.example });
 
-    const variations = [
-      {
-        intro: 'Generate a word of the day for each of the following languages and difficulty levels:',
-        task: 'For each language, provide:\n1. A word appropriate for the specified difficulty level\n2. A clear, concise definition\n3. An example sentence using the word',
-        emphasis: 'IMPORTANT: Do NOT use any of the previously used words listed above. Generate completely new and different words.'
-      },
-      {
-        intro: 'Please provide a vocabulary word for each language below with the specified proficiency level:',
-        task: 'For each language, include:\n1. An appropriate word matching the difficulty level\n2. A concise definition\n3. A practical example sentence',
-        emphasis: 'CRITICAL: Avoid all previously used words mentioned above. Choose fresh, unique vocabulary.'
-      },
-      {
-        intro: 'Create daily vocabulary entries for these languages at the given difficulty levels:',
-        task: 'Each entry should contain:\n1. A word suited to the specified difficulty\n2. A straightforward definition\n3. An illustrative example sentence',
-        emphasis: 'NOTE: The words listed above have been used before. Select completely different vocabulary items.'
-      },
-      {
-        intro: 'Supply a new vocabulary word for each of these language/difficulty combinations:',
-        task: 'Provide for each:\n1. A word matching the difficulty specification\n2. A clear definition\n3. A contextual example sentence',
-        emphasis: 'ESSENTIAL: Do not reuse any words from the previously used list above. Pick entirely new words.'
-      }
-    ];
+    new Setting(contentEl)
+      .addButton(button => button
+        .setButtonText(this.index + 1 < this.questions.length ? 'Next' : 'Finish')
+        .setCta()
+        .onClick(() => {
+          this.index++;
+          this.renderQuestion();
+        })
+      );
+  }
 
-    const variation = variations[Math.floor(Math.random() * variations.length)];
+  async renderSummary() {
+    const { contentEl } = this;
+    const correct = this.results.filter(result => result.correct).length;
 
-    return `${variation.intro}
-${languageRequests}
+    await this.plugin.saveSettings();
 
-${variation.task}
+    contentEl.createEl('h3', { text: `You got ${correct} of ${this.results.length} right` });
+    const list = contentEl.createEl('ul');
+    this.results.forEach(result => {
+      list.createEl('li', {
+        text: `${result.correct ? '✅' : '❌'} ${result.question.item.word} (${result.question.item.language})`
+      });
+    });
 
-${variation.emphasis}
+    const actions = new Setting(contentEl);
+    if (this.plugin.settings.quizSummaryToDailyNote) {
+      await this.plugin.addQuizSummaryToDailyNote(this.results);
+    } else {
+      actions.addButton(button => button
+        .setButtonText('Add summary to daily note')
+        .onClick(async () => {
+          button.setDisabled(true);
+          await this.plugin.addQuizSummaryToDailyNote(this.results);
+        })
+      );
+    }
+    actions.addButton(button => button
+      .setButtonText('Close')
+      .setCta()
+      .onClick(() => this.close())
+    );
+  }
+}
 
-Difficulty guidelines:
-- Beginner: Common everyday words, simple meanings
-- Intermediate: Less common but useful words, moderate complexity
-- Advanced: Sophisticated vocabulary, nuanced meanings
-- Fluent: Rare, literary, or highly specialized words
+class ExportModal extends Modal {
+  constructor(app, plugin) {
+    super(app);
+    this.plugin = plugin;
+    this.options = {
+      format: 'anki',
+      cardStyle: 'multi-line',
+      language: '',
+      difficulty: '',
+      from: '',
+      to: '',
+      path: 'Flashcards/Word of the Day.tsv'
+    };
+  }
 
-Return ONLY a JSON array with this exact structure (no additional text, no markdown formatting):
-[
-  {
-    "language": "Language Name",
-    "word": "the word",
-    "definition": "clear definition",
-    "example": "example sentence using the word"
+  onOpen() {
+    this.titleEl.setText('Export flashcards');
+    const { contentEl } = this;
+    const words = this.plugin.getKnownWords();
+    const languages = [...new Set(words.map(wordData => wordData.language))];
+    const difficulties = [...new Set(words.map(wordData => wordData.difficulty).filter(Boolean))];
+
+    let pathInput;
+    let cardStyleSetting;
+
+    new Setting(contentEl)
+      .setName('Format')
+      .addDropdown(dropdown => dropdown
+        .addOption('anki', 'Anki (TSV)')
+        .addOption('spaced-repetition', 'Obsidian Spaced Repetition (markdown)')
+        .setValue(this.options.format)
+        .onChange(value => {
+          this.options.format = value;
+          this.options.path = value === 'anki' ? 'Flashcards/Word of the Day.tsv' : 'Flashcards/Word of the Day.md';
+          pathInput.setValue(this.options.path);
+          cardStyleSetting.settingEl.toggle(value !== 'anki');
+        })
+      );
+
+    cardStyleSetting = new Setting(contentEl)
+      .setName('Card style')
+      .addDropdown(dropdown => dropdown
+        .addOption('multi-line', 'Multi-line (word ? definition and example)')
+        .addOption('single-line', 'Single-line (word::definition)')
+        .setValue(this.options.cardStyle)
+        .onChange(value => this.options.cardStyle = value)
+      );
+    cardStyleSetting.settingEl.toggle(false);
+
+    new Setting(contentEl)
+      .setName('Language')
+      .addDropdown(dropdown => {
+        dropdown.addOption('', 'All languages');
+        languages.forEach(language => dropdown.addOption(language, language));
+        dropdown.onChange(value => this.options.language = value);
+      });
+
+    new Setting(contentEl)
+      .setName('Difficulty')
+      .addDropdown(dropdown => {
+        dropdown.addOption('', 'All levels');
+        difficulties.forEach(difficulty => dropdown.addOption(difficulty, difficulty));
+        dropdown.onChange(value => this.options.difficulty = value);
+      });
+
+    new Setting(contentEl)
+      .setName('From')
+      .setDesc('Optional. Only words first seen on or after this date')
+      .addText(text => {
+        text.onChange(value => this.options.from = value);
+        text.inputEl.type = 'date';
+      });
+
+    new Setting(contentEl)
+      .setName('To')
+      .setDesc('Optional. Only words first seen on or before this date')
+      .addText(text => {
+        text.onChange(value => this.options.to = value);
+        text.inputEl.type = 'date';
+      });
+
+    new Setting(contentEl)
+      .setName('Save to')
+      .setDesc('Path in your vault. An existing file is overwritten; Spaced Repetition review progress is kept')
+      .addText(text => {
+        pathInput = text;
+        text.setValue(this.options.path).onChange(value => this.options.path = value.trim());
+      });
+
+    new Setting(contentEl)
+      .addButton(button => button
+        .setButtonText('Export')
+        .setCta()
+        .onClick(async () => {
+          if (!this.options.path) {
+            new Notice('Please enter a path to save the export to');
+            return;
+          }
+          await this.plugin.exportFlashcards(this.options);
+          this.close();
+        })
+      );
   }
-]
 
-Make sure the words are interesting, useful, and appropriate for language learners at the specified level. Vary the types of words (nouns, verbs, adjectives, etc.) for variety.`;
+  onClose() {
+    this.contentEl.empty();
   }
+}
 
-  async appendToDailyNote(file, markdownText) {
-    try {
-      const content = await this.app.vault.read(file);
-      if (content.includes("> [!QUOTE] Vocabulary")) {
-        return;
-      }
-      
-      const updatedContent = `${content}\n\n${markdownText}`;
-      await this.app.vault.process(file, (data) => {
-        return updatedContent;
+class BackfillModal extends Modal {
+  constructor(app, plugin) {
+    super(app);
+    this.plugin = plugin;
+    this.startDate = moment().subtract(7, 'days').format('YYYY-MM-DD');
+    this.endDate = moment().subtract(1, 'days').format('YYYY-MM-DD');
+    this.batchSize = 5;
+    this.pauseSeconds = 10;
+    this.running = false;
+    this.cancelled = false;
+  }
+
+  onOpen() {
+    this.titleEl.setText('Backfill words for date range');
+    const { contentEl } = this;
+
+    contentEl.createEl('p', {
+      text: 'Adds words to existing daily notes in the range that do not have a vocabulary block yet.',
+      cls: 'setting-item-description'
+    });
+
+    new Setting(contentEl)
+      .setName('Start date')
+      .addText(text => {
+        text.setValue(this.startDate).onChange(value => this.startDate = value);
+        text.inputEl.type = 'date';
       });
-      new Notice('Words of the Day added to daily note');
-    } catch (error) {
-      console.error("Error appending to daily note:", error);
-      new Notice('Error adding words to daily note');
+
+    new Setting(contentEl)
+      .setName('End date')
+      .addText(text => {
+        text.setValue(this.endDate).onChange(value => this.endDate = value);
+        text.inputEl.type = 'date';
+      });
+
+    new Setting(contentEl)
+      .setName('Notes per batch')
+      .setDesc('How many notes to generate before pausing')
+      .addText(text => text
+        .setValue(String(this.batchSize))
+        .onChange(value => {
+          const numValue = parseInt(value);
+          if (!isNaN(numValue) && numValue > 0) {
+            this.batchSize = numValue;
+          }
+        })
+      );
+
+    new Setting(contentEl)
+      .setName('Pause between batches')
+      .setDesc('Seconds to wait between batches so the provider is not flooded')
+      .addText(text => text
+        .setValue(String(this.pauseSeconds))
+        .onChange(value => {
+          const numValue = parseInt(value);
+          if (!isNaN(numValue) && numValue >= 0) {
+            this.pauseSeconds = numValue;
+          }
+        })
+      );
+
+    new Setting(contentEl)
+      .addButton(button => button
+        .setButtonText('Preview')
+        .onClick(() => this.run(true))
+      )
+      .addButton(button => {
+        this.runButton = button;
+        button
+          .setButtonText('Backfill')
+          .setCta()
+          .onClick(() => {
+            if (this.running) {
+              this.cancelled = true;
+              button.setButtonText('Stopping...');
+              button.setDisabled(true);
+            } else {
+              this.run(false);
+            }
+          });
+      });
+
+    this.resultsEl = contentEl.createDiv('setting-item-description');
+  }
+
+  onClose() {
+    this.cancelled = true;
+    this.contentEl.empty();
+  }
+
+  getRange() {
+    const start = moment(this.startDate, 'YYYY-MM-DD', true);
+    const end = moment(this.endDate, 'YYYY-MM-DD', true);
+
+    if (!start.isValid() || !end.isValid()) {
+      new Notice('Please enter valid start and end dates');
+      return null;
+    }
+    if (end.isBefore(start)) {
+      new Notice('End date must be on or after the start date');
+      return null;
     }
+    if (end.diff(start, 'days') > 366) {
+      new Notice('Please choose a range of one year or less');
+      return null;
+    }
+
+    return { start, end };
   }
 
-  async appendWordsToDailyNote(markdownText) {
-    const dailyNotesConfig = this.app.internalPlugins.plugins["daily-notes"]?.instance?.options;
-    if (!dailyNotesConfig) {
-      new Notice("Daily Notes plugin is not configured.");
+  async run(dryRun) {
+    if (this.running) {
       return;
     }
 
-    const dailyNoteFolder = dailyNotesConfig.folder || "Journal";
-    const dateFormat = dailyNotesConfig.format || "YYYY-MM-DD";
-    const today = moment().format(dateFormat);
-    const expectedPath = normalizePath(`${dailyNoteFolder}/${today}.md`);
-    
-    let file = this.app.vault.getAbstractFileByPath(expectedPath);
+    const range = this.getRange();
+    if (!range) {
+      return;
+    }
 
-    if (!file) {
-      try {
-        file = await this.app.vault.create(expectedPath, '');
-      } catch (error) {
-        new Notice('Could not create daily note');
-        return;
-      }
+    if (!this.plugin.getDailyNoteConfig()) {
+      new Notice('Daily Notes plugin is not configured.');
+      return;
     }
-    
-    await this.appendToDailyNote(file, markdownText);
+
+    this.resultsEl.empty();
+    const targets = await this.plugin.findNotesMissingVocabulary(range.start, range.end);
+
+    if (targets.length === 0) {
+      this.resultsEl.createEl('p', { text: 'No daily notes in this range are missing vocabulary.' });
+      return;
+    }
+
+    if (dryRun) {
+      this.resultsEl.createEl('p', { text: `${targets.length} note${targets.length === 1 ? '' : 's'} would be updated:` });
+      const list = this.resultsEl.createEl('ul');
+      targets.forEach(target => list.createEl('li', { text: target.file.path }));
+      return;
+    }
+
+    this.running = true;
+    this.cancelled = false;
+    this.runButton.setButtonText('Stop');
+    const statusEl = this.resultsEl.createEl('p');
+
+    const result = await this.plugin.backfillNotes(targets, {
+      batchSize: this.batchSize,
+      pauseSeconds: this.pauseSeconds,
+      onProgress: message => statusEl.setText(message),
+      isCancelled: () => this.cancelled
+    });
+
+    this.running = false;
+    this.runButton.setButtonText('Backfill');
+    this.runButton.setDisabled(false);
+
+    const summary = `Backfill ${result.cancelled ? 'stopped' : 'finished'}: ${result.added} added, ${result.failed} failed`;
+    statusEl.setText(summary);
+    new Notice(summary);
   }
+}
 
-  isDailyNoteFile(file) {
-    const dailyNotesConfig = this.app.internalPlugins.plugins["daily-notes"]?.instance?.options;
-    if (!dailyNotesConfig) {
-      return false;
+class LanguageSettingsModal extends Modal {
+  constructor(app, plugin, lang, onDone) {
+    super(app);
+    this.plugin = plugin;
+    this.lang = lang;
+    this.onDone = onDone;
+  }
+
+  onOpen() {
+    this.titleEl.setText(`${this.plugin.getEntryLabel(this.lang)} options`);
+
+    const { contentEl } = this;
+
+    new Setting(contentEl)
+      .setName('Content type')
+      .setDesc('What to learn for this language each day. To learn more than one type, add the language again under Add language with another content type, e.g. a Japanese word and a kanji')
+      .addDropdown(dropdown => {
+        Object.entries(CONTENT_TYPES).forEach(([key, type]) => dropdown.addOption(key, type.name));
+        dropdown
+          .setValue(getContentTypeKey(this.lang))
+          .onChange(async (value) => {
+            const taken = this.plugin.settings.languages.some(other =>
+              other !== this.lang && other.name.toLowerCase() === this.lang.name.toLowerCase() && getContentTypeKey(other) === value
+            );
+            if (taken) {
+              new Notice(`${this.lang.name} already has an entry for ${CONTENT_TYPES[value].name.toLowerCase()}`);
+              dropdown.setValue(getContentTypeKey(this.lang));
+              return;
+            }
+            this.lang.contentType = value;
+            await this.plugin.saveSettings();
+            this.contentEl.empty();
+            this.onOpen();
+          });
+      });
+
+    new Setting(contentEl).setName('Schedule').setHeading();
+
+    new Setting(contentEl)
+      .setName('Words per scheduled day')
+      .setDesc('How many different words to generate each time this language is scheduled: per day, or per week for weekly languages')
+      .addText(text => {
+        text.inputEl.type = 'number';
+        text.inputEl.min = '1';
+        text
+          .setValue(String(this.plugin.getWordsPerDay(this.lang)))
+          .onChange(async (value) => {
+            this.lang.wordsPerDay = Math.max(1, parseInt(value) || 1);
+            await this.plugin.saveSettings();
+          });
+      });
+
+    new Setting(contentEl)
+      .setName('Schedule')
+      .setDesc('Which days get words for this language. Weekly words go into the weekly note instead of the daily note')
+      .addDropdown(dropdown => {
+        Object.entries(SCHEDULES).forEach(([key, label]) => dropdown.addOption(key, label));
+        dropdown
+          .setValue(this.lang.schedule || 'daily')
+          .onChange(async (value) => {
+            this.lang.schedule = value;
+            await this.plugin.saveSettings();
+            this.contentEl.empty();
+            this.onOpen();
+          });
+      });
+
+    if (this.lang.schedule === 'days') {
+      const daysSetting = new Setting(contentEl)
+        .setName('Days')
+        .setDesc('Words are generated only on the checked days');
+      [1, 2, 3, 4, 5, 6, 7].forEach(day => {
+        daysSetting.controlEl.createEl('span', { text: moment().isoWeekday(day).format('ddd') });
+        daysSetting.addToggle(toggle => toggle
+          .setValue((this.lang.days || []).includes(day))
+          .onChange(async (value) => {
+            const days = (this.lang.days || []).filter(existing => existing !== day);
+            this.lang.days = value ? days.concat(day).sort() : days;
+            await this.plugin.saveSettings();
+          })
+        );
+      });
+    }
+
+    new Setting(contentEl).setName('Level').setHeading();
+
+    new Setting(contentEl)
+      .setName('Level scale')
+      .setDesc('Scale used for this language\'s difficulty level. Changing it resets the level and its bounds')
+      .addDropdown(dropdown => {
+        Object.entries(LEVEL_SCALES).forEach(([key, scale]) => {
+          dropdown.addOption(key, `${scale.name} (${scale.levels.map(level => level.key).join(', ')})`);
+        });
+        dropdown
+          .setValue(this.lang.scale || 'general')
+          .onChange(async (value) => {
+            this.lang.scale = value;
+            this.lang.difficulty = LEVEL_SCALES[value].defaultLevel;
+            this.lang.minLevel = '';
+            this.lang.maxLevel = '';
+            await this.plugin.saveSettings();
+            this.contentEl.empty();
+            this.onOpen();
+          });
+      });
+
+    new Setting(contentEl)
+      .setName('Topics')
+      .setDesc('Optional comma-separated topic domains to draw words from, e.g. business, medicine, travel')
+      .addText(text => text
+        .setPlaceholder('business, travel')
+        .setValue((this.lang.topics || []).join(', '))
+        .onChange(async (value) => {
+          this.lang.topics = value.split(',').map(topic => topic.trim()).filter(Boolean);
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(contentEl)
+      .setName('Provider')
+      .setDesc('Send this language to a different provider than the rest. Languages are grouped by provider and model, and the groups are requested in parallel. Your fallback chain still applies if it fails')
+      .addDropdown(dropdown => {
+        dropdown.addOption('', `Default (${this.plugin.getProviderLabel()})`);
+        Object.keys(PROVIDER_LABELS).forEach(provider => dropdown.addOption(provider, this.plugin.getProviderLabel(provider)));
+        dropdown
+          .setValue(this.lang.provider || '')
+          .onChange(async (value) => {
+            this.lang.provider = value;
+            this.lang.model = '';
+            await this.plugin.saveSettings();
+            this.contentEl.empty();
+            this.onOpen();
+          });
+      });
+
+    if (this.lang.provider) {
+      new Setting(contentEl)
+        .setName('Model')
+        .setDesc(this.plugin.getProviderProblem(this.lang.provider) || 'Leave empty to use the model selected for this provider')
+        .addText(text => text
+          .setPlaceholder(this.plugin.getActiveModel(this.lang.provider) || '')
+          .setValue(this.lang.model || '')
+          .onChange(async (value) => {
+            this.lang.model = value.trim();
+            await this.plugin.saveSettings();
+          })
+        );
+    }
+
+    new Setting(contentEl)
+      .setName('Extra instructions')
+      .setDesc('Added to the prompt for this language, e.g. "Use Latin American Spanish" or "Include kanji with furigana"')
+      .addTextArea(text => {
+        text
+          .setValue(this.lang.instructions || '')
+          .onChange(async (value) => {
+            this.lang.instructions = value;
+            await this.plugin.saveSettings();
+          });
+        text.inputEl.rows = 3;
+      });
+
+    new Setting(contentEl)
+      .setName('Native language')
+      .setDesc('Language used for definitions and translations of this language\'s words. Leave empty to use the global native language')
+      .addText(text => text
+        .setPlaceholder(this.plugin.settings.nativeLanguage || 'English')
+        .setValue(this.lang.nativeLanguage || '')
+        .onChange(async (value) => {
+          this.lang.nativeLanguage = value.trim();
+          await this.plugin.saveSettings();
+        })
+      );
+
+    const levels = this.plugin.getLevelScale(this.lang).levels;
+    const addLevelBound = (name, desc, key) => {
+      new Setting(contentEl)
+        .setName(name)
+        .setDesc(desc)
+        .addDropdown(dropdown => {
+          dropdown.addOption('', 'No limit');
+          levels.forEach(level => dropdown.addOption(level.key, level.key));
+          dropdown
+            .setValue(levels.some(level => level.key === this.lang[key]) ? this.lang[key] : '')
+            .onChange(async (value) => {
+              this.lang[key] = value;
+              await this.plugin.saveSettings();
+            });
+        });
+    };
+
+    new Setting(contentEl).setName('Adaptive difficulty').setHeading();
+    addLevelBound('Lowest level', 'Adaptive difficulty never goes below this level', 'minLevel');
+    addLevelBound('Highest level', 'Adaptive difficulty never goes above this level', 'maxLevel');
+
+    const changes = (this.plugin.settings.difficultyLog || [])
+      .filter(entry => entry.language === this.lang.name)
+      .slice(-10)
+      .reverse();
+    if (changes.length > 0) {
+      contentEl.createEl('p', { text: 'Recent changes', cls: 'setting-item-description' });
+      const list = contentEl.createEl('ul');
+      changes.forEach(entry => {
+        list.createEl('li', { text: `${entry.date}: ${entry.from} → ${entry.to} (${entry.reason})` });
+      });
     }
 
-    const dailyNoteFolder = dailyNotesConfig.folder || "Journal";
-    const dateFormat = dailyNotesConfig.format || "YYYY-MM-DD";
-    const today = moment().format(dateFormat);
+    const contentType = CONTENT_TYPES[getContentTypeKey(this.lang)];
+    const typeFields = contentType.fields.map(field => field.name.toLowerCase());
+    new Setting(contentEl).setName('Word fields').setHeading();
+    contentEl.createEl('p', {
+      text: `Extra information to request for each word in this language. Word, definition and example are always included.${typeFields.length > 0 ? ` ${contentType.name} entries also include ${typeFields.join(', ')}.` : ''}`,
+      cls: 'setting-item-description'
+    });
 
-    const expectedPath = normalizePath(`${dailyNoteFolder}/${today}.md`);
-    const isDailyNote = file.path === expectedPath;
+    OPTIONAL_WORD_FIELDS.forEach(field => {
+      new Setting(contentEl)
+        .setName(field.name)
+        .setDesc(this.plugin.describeField(field, this.lang))
+        .addToggle(toggle => toggle
+          .setValue((this.lang.fields || []).includes(field.key))
+          .onChange(async (value) => {
+            const fields = (this.lang.fields || []).filter(key => key !== field.key);
+            if (value) {
+              fields.push(field.key);
+            }
+            this.lang.fields = fields;
+            await this.plugin.saveSettings();
+          })
+        );
+    });
+  }
 
-    return isDailyNote;
+  onClose() {
+    this.contentEl.empty();
+    if (this.onDone) {
+      this.onDone();
+    }
   }
 }
 
@@ -544,15 +4907,68 @@ class WOTDSettingsTab extends PluginSettingTab {
         .addOption('claude', 'Claude (Anthropic)')
         .addOption('openai', 'ChatGPT (OpenAI)')
         .addOption('gemini', 'Gemini (Google)')
+        .addOption('custom', 'Custom endpoint (Ollama, LM Studio, llama.cpp)')
         .setValue(this.plugin.settings.provider)
         .onChange(async (value) => {
           this.plugin.settings.provider = value;
           await this.plugin.saveSettings();
           this.display();
         })
-      );
+      );
+
+    const fallbackProviders = this.plugin.settings.fallbackProviders || [];
+    fallbackProviders.forEach((provider, index) => {
+      new Setting(containerEl)
+        .setName(`Fallback ${index + 1}: ${this.plugin.getProviderLabel(provider)}`)
+        .setDesc(this.plugin.getProviderProblem(provider) || 'Used when the providers before it fail')
+        .addExtraButton(button => button
+          .setIcon('arrow-up')
+          .setTooltip('Move up')
+          .setDisabled(index === 0)
+          .onClick(async () => {
+            if (index === 0) {
+              return;
+            }
+            fallbackProviders.splice(index - 1, 0, fallbackProviders.splice(index, 1)[0]);
+            await this.plugin.saveSettings();
+            this.display();
+          })
+        )
+        .addExtraButton(button => button
+          .setIcon('x')
+          .setTooltip('Remove fallback')
+          .onClick(async () => {
+            fallbackProviders.splice(index, 1);
+            await this.plugin.saveSettings();
+            this.display();
+          })
+        );
+    });
+
+    const availableFallbacks = Object.keys(PROVIDER_LABELS).filter(provider =>
+      provider !== this.plugin.settings.provider && !fallbackProviders.includes(provider)
+    );
+    if (availableFallbacks.length > 0) {
+      new Setting(containerEl)
+        .setName('Add fallback provider')
+        .setDesc('Providers to try in order when the one above fails, e.g. Claude → OpenAI → Gemini → local')
+        .addDropdown(dropdown => {
+          availableFallbacks.forEach(provider => dropdown.addOption(provider, this.plugin.getProviderLabel(provider)));
+          this.newFallbackDropdown = dropdown;
+        })
+        .addButton(button => button
+          .setButtonText('Add')
+          .onClick(async () => {
+            this.plugin.settings.fallbackProviders = fallbackProviders.concat(this.newFallbackDropdown.getValue());
+            await this.plugin.saveSettings();
+            this.display();
+          })
+        );
+    }
 
-    if (this.plugin.settings.provider === 'claude') {
+    const shownProviders = [this.plugin.settings.provider].concat(this.plugin.settings.fallbackProviders || []);
+
+    if (shownProviders.includes('claude')) {
       new Setting(containerEl)
         .setName('Claude API key')
         .setDesc('Enter your Anthropic Claude API key')
@@ -597,134 +5013,593 @@ class WOTDSettingsTab extends PluginSettingTab {
             }
           })
         );
-    } else if (this.plugin.settings.provider === 'openai') {
+    }
+
+    if (shownProviders.includes('openai')) {
+      new Setting(containerEl)
+        .setName('OpenAI API key')
+        .setDesc('Enter your OpenAI API key')
+        .addText(text => text
+          .setPlaceholder('sk-...')
+          .setValue(this.plugin.settings.openaiApiKey)
+          .onChange(async (value) => {
+            this.plugin.settings.openaiApiKey = value;
+            await this.plugin.saveSettings();
+          })
+          .inputEl.type = 'password'
+        );
+
+      const models = this.plugin.settings.availableModels.openai.length > 0
+        ? this.plugin.settings.availableModels.openai
+        : ['gpt-3.5-turbo', 'gpt-4', 'gpt-4-turbo'];
+
+      new Setting(containerEl)
+        .setName('OpenAI model')
+        .setDesc('Select which OpenAI model to use')
+        .addDropdown(dropdown => {
+          models.forEach(model => dropdown.addOption(model, model));
+          dropdown.setValue(this.plugin.settings.openaiModel || 'gpt-3.5-turbo');
+          dropdown.onChange(async (value) => {
+            this.plugin.settings.openaiModel = value;
+            await this.plugin.saveSettings();
+          });
+        })
+        .addButton(button => button
+          .setButtonText('Refresh Models')
+          .setDisabled(false)
+          .onClick(async () => {
+            button.setDisabled(true);
+            button.setButtonText('Fetching...');
+            try {
+              await this.plugin.fetchOpenAIModels();
+              new Notice('OpenAI models updated!');
+              this.display();
+            } catch (error) {
+              button.setDisabled(false);
+              button.setButtonText('Refresh Models');
+            }
+          })
+        );
+    }
+
+    if (shownProviders.includes('gemini')) {
+      new Setting(containerEl)
+        .setName('Google Gemini API key')
+        .setDesc('Enter your Google Gemini API key')
+        .addText(text => text
+          .setPlaceholder('AIza...')
+          .setValue(this.plugin.settings.geminiApiKey)
+          .onChange(async (value) => {
+            this.plugin.settings.geminiApiKey = value;
+            await this.plugin.saveSettings();
+          })
+          .inputEl.type = 'password'
+        );
+
+      const models = this.plugin.settings.availableModels.gemini.length > 0
+        ? this.plugin.settings.availableModels.gemini
+        : ['gemini-pro', 'gemini-1.5-pro', 'gemini-1.5-flash'];
+
+      new Setting(containerEl)
+        .setName('Gemini model')
+        .setDesc('Select which Gemini model to use')
+        .addDropdown(dropdown => {
+          models.forEach(model => dropdown.addOption(model, model));
+          dropdown.setValue(this.plugin.settings.geminiModel || 'gemini-pro');
+          dropdown.onChange(async (value) => {
+            this.plugin.settings.geminiModel = value;
+            await this.plugin.saveSettings();
+          });
+        })
+        .addButton(button => button
+          .setButtonText('Refresh Models')
+          .setDisabled(false)
+          .onClick(async () => {
+            button.setDisabled(true);
+            button.setButtonText('Fetching...');
+            try {
+              await this.plugin.fetchGeminiModels();
+              new Notice('Gemini models updated!');
+              this.display();
+            } catch (error) {
+              button.setDisabled(false);
+              button.setButtonText('Refresh Models');
+            }
+          })
+        );
+    }
+
+    if (shownProviders.includes('custom')) {
+      new Setting(containerEl)
+        .setName('Endpoint URL')
+        .setDesc('Base URL of an OpenAI-compatible server, e.g. http://localhost:11434 (Ollama) or http://localhost:1234 (LM Studio)')
+        .addText(text => text
+          .setPlaceholder('http://localhost:11434')
+          .setValue(this.plugin.settings.customBaseUrl)
+          .onChange(async (value) => {
+            this.plugin.settings.customBaseUrl = value.trim();
+            await this.plugin.saveSettings();
+          })
+        );
+
+      new Setting(containerEl)
+        .setName('Endpoint API key')
+        .setDesc('Optional. Only needed if your server requires a bearer token')
+        .addText(text => text
+          .setPlaceholder('Optional')
+          .setValue(this.plugin.settings.customApiKey)
+          .onChange(async (value) => {
+            this.plugin.settings.customApiKey = value;
+            await this.plugin.saveSettings();
+          })
+          .inputEl.type = 'password'
+        );
+
+      const models = this.plugin.settings.availableModels.custom;
+      const modelSetting = new Setting(containerEl)
+        .setName('Endpoint model')
+        .setDesc('Select which model to use. Click "Refresh Models" to load the models available on your server');
+
+      if (models.length > 0) {
+        modelSetting.addDropdown(dropdown => {
+          models.forEach(model => dropdown.addOption(model, model));
+          if (this.plugin.settings.customModel && !models.includes(this.plugin.settings.customModel)) {
+            dropdown.addOption(this.plugin.settings.customModel, this.plugin.settings.customModel);
+          }
+          dropdown.setValue(this.plugin.settings.customModel || models[0]);
+          dropdown.onChange(async (value) => {
+            this.plugin.settings.customModel = value;
+            await this.plugin.saveSettings();
+          });
+        });
+      } else {
+        modelSetting.addText(text => text
+          .setPlaceholder('llama3.1')
+          .setValue(this.plugin.settings.customModel)
+          .onChange(async (value) => {
+            this.plugin.settings.customModel = value.trim();
+            await this.plugin.saveSettings();
+          })
+        );
+      }
+
+      modelSetting.addButton(button => button
+        .setButtonText('Refresh Models')
+        .setDisabled(false)
+        .onClick(async () => {
+          button.setDisabled(true);
+          button.setButtonText('Fetching...');
+          try {
+            await this.plugin.fetchCustomModels();
+            new Notice('Endpoint models updated!');
+            this.display();
+          } catch (error) {
+            button.setDisabled(false);
+            button.setButtonText('Refresh Models');
+          }
+        })
+      );
+    }
+
+    new Setting(containerEl)
+      .setName('Placement')
+      .setDesc('Where the words go in the daily note')
+      .addDropdown(dropdown => {
+        Object.entries(PLACEMENTS).forEach(([key, label]) => dropdown.addOption(key, label));
+        dropdown
+          .setValue(this.plugin.settings.placement || 'end')
+          .onChange(async (value) => {
+            this.plugin.settings.placement = value;
+            await this.plugin.saveSettings();
+            this.display();
+          });
+      });
+
+    if (this.plugin.settings.placement === 'heading') {
+      new Setting(containerEl)
+        .setName('Heading')
+        .setDesc('Words are added at the end of this heading\'s section. The heading is created at the end of the note if it is missing')
+        .addText(text => text
+          .setPlaceholder('Vocabulary')
+          .setValue(this.plugin.settings.placementHeading)
+          .onChange(async (value) => {
+            this.plugin.settings.placementHeading = value.trim();
+            await this.plugin.saveSettings();
+          })
+        );
+    }
+
+    new Setting(containerEl)
+      .setName('Auto-append to daily notes')
+      .setDesc('Automatically add words of the day to daily notes when they are created or opened')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.autoAppend)
+        .onChange(async (value) => {
+          this.plugin.settings.autoAppend = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    if (this.plugin.settings.languages.some(lang => lang.schedule === 'weekly')) {
+      if (this.plugin.getPeriodicNotesConfig('weekly') || this.plugin.getPeriodicNotesConfig('week')) {
+        containerEl.createEl('p', {
+          text: 'Weekly words go into the weekly notes configured in Periodic Notes.',
+          cls: 'setting-item-description'
+        });
+      } else {
+        new Setting(containerEl)
+          .setName('Weekly note folder')
+          .setDesc('Folder for weekly notes, used for languages scheduled once a week')
+          .addText(text => text
+            .setPlaceholder('Weekly')
+            .setValue(this.plugin.settings.weeklyNoteFolder)
+            .onChange(async (value) => {
+              this.plugin.settings.weeklyNoteFolder = value.trim();
+              await this.plugin.saveSettings();
+            })
+          );
+
+        new Setting(containerEl)
+          .setName('Weekly note format')
+          .setDesc('Moment.js format for weekly note names, e.g. gggg-[W]ww for 2024-W05')
+          .addText(text => text
+            .setPlaceholder(DEFAULT_SETTINGS.weeklyNoteFormat)
+            .setValue(this.plugin.settings.weeklyNoteFormat)
+            .onChange(async (value) => {
+              this.plugin.settings.weeklyNoteFormat = value.trim();
+              await this.plugin.saveSettings();
+            })
+          );
+      }
+    }
+
+    new Setting(containerEl)
+      .setName('Prefetch tomorrow\'s words')
+      .setDesc('Generate tomorrow\'s words in the background so they are ready instantly. Words are cached per date, so every trigger for the same day shows the same set')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.prefetchTomorrow)
+        .onChange(async (value) => {
+          this.plugin.settings.prefetchTomorrow = value;
+          await this.plugin.saveSettings();
+          this.plugin.prefetchTomorrow();
+        })
+      )
+      .addButton(button => button
+        .setButtonText('Clear cache')
+        .setTooltip('Forget the cached word sets so the next request generates new words')
+        .onClick(async () => {
+          await this.plugin.clearWordCache();
+          new Notice('Word cache cleared');
+        })
+      );
+
+    new Setting(containerEl)
+      .setName('Temperature')
+      .setDesc('Controls creativity vs consistency (0.7-1.0). Higher = more varied/creative words, Lower = more predictable')
+      .addSlider(slider => slider
+        .setLimits(0.7, 1.0, 0.05)
+        .setValue(this.plugin.settings.temperature || 0.9)
+        .setDynamicTooltip()
+        .onChange(async (value) => {
+          this.plugin.settings.temperature = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(containerEl)
+      .setName('Structured output')
+      .setDesc('Ask the provider for schema-constrained JSON (OpenAI/custom response_format, Gemini response schema, Claude tool use). Models that do not support it fall back to plain text automatically')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.structuredOutput !== false)
+        .onChange(async (value) => {
+          this.plugin.settings.structuredOutput = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(containerEl)
+      .setName('Repair attempts')
+      .setDesc('How many times to re-request languages whose words came back missing or malformed')
+      .addText(text => text
+        .setPlaceholder('2')
+        .setValue(String(this.plugin.settings.maxRepairAttempts ?? 2))
+        .onChange(async (value) => {
+          const numValue = parseInt(value);
+          if (!isNaN(numValue) && numValue >= 0) {
+            this.plugin.settings.maxRepairAttempts = numValue;
+            await this.plugin.saveSettings();
+          }
+        })
+      );
+
+    new Setting(containerEl)
+      .setName('Retries per provider')
+      .setDesc('How many times to retry a provider after a timeout, network error, rate limit (429), overload (529) or server error before moving to the next fallback. Waits double each time, and Retry-After is respected')
+      .addText(text => text
+        .setPlaceholder('2')
+        .setValue(String(this.plugin.settings.maxRetries ?? 2))
+        .onChange(async (value) => {
+          const numValue = parseInt(value);
+          if (!isNaN(numValue) && numValue >= 0) {
+            this.plugin.settings.maxRetries = numValue;
+            await this.plugin.saveSettings();
+          }
+        })
+      );
+
+    new Setting(containerEl)
+      .setName('Request timeout')
+      .setDesc('Seconds to wait for a single request before moving on to a retry or the next provider. The timed-out request is not cancelled: it keeps running in the background and is still billed if it completes')
+      .addText(text => text
+        .setPlaceholder('60')
+        .setValue(String(this.plugin.settings.requestTimeout || 60))
+        .onChange(async (value) => {
+          const numValue = parseInt(value);
+          if (!isNaN(numValue) && numValue > 0) {
+            this.plugin.settings.requestTimeout = numValue;
+            await this.plugin.saveSettings();
+          }
+        })
+      );
+
+    const historyCount = this.plugin.history.length;
+    new Setting(containerEl)
+      .setName('Word history')
+      .setDesc(`${historyCount} word${historyCount === 1 ? '' : 's'} with date, definition, example, difficulty, provider and model. Export it to move your history to another vault`)
+      .addButton(button => button
+        .setButtonText('Export JSON')
+        .onClick(() => this.plugin.exportHistory('json'))
+      )
+      .addButton(button => button
+        .setButtonText('Export CSV')
+        .onClick(() => this.plugin.exportHistory('csv'))
+      )
+      .addButton(button => button
+        .setButtonText('Import')
+        .onClick(() => this.plugin.importHistory())
+      );
+
+    new Setting(containerEl).setName('Usage and budget').setHeading();
+
+    const formatCost = (cost) => `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+    const months = Object.keys(this.plugin.settings.usage || {}).sort().reverse().slice(0, 3);
+    if (months.length === 0) {
+      containerEl.createEl('p', { text: 'No AI requests recorded yet.', cls: 'setting-item-description' });
+    }
+    months.forEach(month => {
+      const usage = this.plugin.getMonthlyUsage(month);
+      new Setting(containerEl)
+        .setName(moment(month, 'YYYY-MM').format('MMMM YYYY'))
+        .setDesc(`${usage.requests} requests · ${usage.inputTokens} input / ${usage.outputTokens} output tokens · ~${formatCost(usage.cost)}${usage.entries.some(entry => entry.unpricedRequests) ? ' (excluding unpriced requests)' : ''}`);
+
+      const list = containerEl.createEl('ul', { cls: 'setting-item-description' });
+      usage.entries.forEach(entry => {
+        const unpriced = entry.unpricedRequests || 0;
+        const priced = unpriced === 0
+          ? `~${formatCost(entry.cost)}`
+          : `~${formatCost(entry.cost)}, ${unpriced === entry.requests ? 'all' : unpriced} ${unpriced === 1 ? 'request' : 'requests'} without a price (not counted toward the budget)`;
+        list.createEl('li', {
+          text: `${this.plugin.getProviderLabel(entry.provider)} · ${entry.model}: ${entry.requests} requests, ${entry.inputTokens} in / ${entry.outputTokens} out, ${priced}`
+        });
+      });
+    });
+
+    if (months.length > 0) {
+      new Setting(containerEl)
+        .setName('Reset usage')
+        .setDesc('Forget all recorded token counts and costs')
+        .addButton(button => button
+          .setButtonText('Reset')
+          .onClick(async () => {
+            this.plugin.settings.usage = {};
+            await this.plugin.saveSettings();
+            this.display();
+          })
+        );
+    }
+
+    new Setting(containerEl)
+      .setName('Monthly budget')
+      .setDesc('Estimated spend in USD per calendar month before the action below applies to automatic generation. Manual commands still use your normal provider. 0 means no limit')
+      .addText(text => text
+        .setPlaceholder('0')
+        .setValue(String(this.plugin.settings.monthlyBudget || 0))
+        .onChange(async (value) => {
+          const numValue = parseFloat(value);
+          if (!isNaN(numValue) && numValue >= 0) {
+            this.plugin.settings.monthlyBudget = numValue;
+            await this.plugin.saveSettings();
+          }
+        })
+      );
+
+    new Setting(containerEl)
+      .setName('When the budget is reached')
+      .addDropdown(dropdown => {
+        Object.entries(BUDGET_ACTIONS).forEach(([key, label]) => dropdown.addOption(key, label));
+        dropdown
+          .setValue(this.plugin.settings.budgetAction || 'stop')
+          .onChange(async (value) => {
+            this.plugin.settings.budgetAction = value;
+            await this.plugin.saveSettings();
+            this.display();
+          });
+      });
+
+    if (this.plugin.settings.budgetAction === 'cheaper') {
       new Setting(containerEl)
-        .setName('OpenAI API key')
-        .setDesc('Enter your OpenAI API key')
+        .setName('Cheaper model')
+        .setDesc(`Model to use with ${this.plugin.getProviderLabel()} once the budget is reached, e.g. gpt-4o-mini. Required: without it, automatic generation pauses instead`)
         .addText(text => text
-          .setPlaceholder('sk-...')
-          .setValue(this.plugin.settings.openaiApiKey)
+          .setValue(this.plugin.settings.budgetModel || '')
           .onChange(async (value) => {
-            this.plugin.settings.openaiApiKey = value;
+            this.plugin.settings.budgetModel = value.trim();
             await this.plugin.saveSettings();
           })
-          .inputEl.type = 'password'
         );
+    }
 
-      const models = this.plugin.settings.availableModels.openai.length > 0
-        ? this.plugin.settings.availableModels.openai
-        : ['gpt-3.5-turbo', 'gpt-4', 'gpt-4-turbo'];
+    new Setting(containerEl)
+      .setName('Model prices')
+      .setDesc('USD per million input and output tokens, used to estimate cost. Requests to models without a price are flagged in the usage list above and do not count toward the budget');
+
+    Object.entries(this.plugin.settings.modelPrices).forEach(([model, price]) => {
+      const updatePrice = async (key, value) => {
+        const numValue = parseFloat(value);
+        if (!isNaN(numValue) && numValue >= 0) {
+          this.plugin.settings.modelPrices[model] = Object.assign({}, this.plugin.settings.modelPrices[model], { [key]: numValue });
+          await this.plugin.saveSettings();
+        }
+      };
 
       new Setting(containerEl)
-        .setName('OpenAI model')
-        .setDesc('Select which OpenAI model to use')
-        .addDropdown(dropdown => {
-          models.forEach(model => dropdown.addOption(model, model));
-          dropdown.setValue(this.plugin.settings.openaiModel || 'gpt-3.5-turbo');
-          dropdown.onChange(async (value) => {
-            this.plugin.settings.openaiModel = value;
-            await this.plugin.saveSettings();
-          });
-        })
-        .addButton(button => button
-          .setButtonText('Refresh Models')
-          .setDisabled(false)
+        .setName(model)
+        .addText(text => text
+          .setPlaceholder('Input')
+          .setValue(String(price.input ?? 0))
+          .onChange(value => updatePrice('input', value))
+        )
+        .addText(text => text
+          .setPlaceholder('Output')
+          .setValue(String(price.output ?? 0))
+          .onChange(value => updatePrice('output', value))
+        )
+        .addExtraButton(button => button
+          .setIcon('x')
+          .setTooltip('Remove price')
           .onClick(async () => {
-            button.setDisabled(true);
-            button.setButtonText('Fetching...');
-            try {
-              await this.plugin.fetchOpenAIModels();
-              new Notice('OpenAI models updated!');
-              this.display();
-            } catch (error) {
-              button.setDisabled(false);
-              button.setButtonText('Refresh Models');
-            }
+            delete this.plugin.settings.modelPrices[model];
+            await this.plugin.saveSettings();
+            this.display();
           })
         );
-    } else if (this.plugin.settings.provider === 'gemini') {
-      new Setting(containerEl)
-        .setName('Google Gemini API key')
-        .setDesc('Enter your Google Gemini API key')
-        .addText(text => text
-          .setPlaceholder('AIza...')
-          .setValue(this.plugin.settings.geminiApiKey)
+    });
+
+    new Setting(containerEl)
+      .setName('Add model price')
+      .addText(text => {
+        text.setPlaceholder('Model name');
+        this.newPriceModelInput = text;
+      })
+      .addButton(button => button
+        .setButtonText('Add')
+        .onClick(async () => {
+          const model = this.newPriceModelInput.getValue().trim();
+          if (!model || this.plugin.settings.modelPrices[model]) {
+            return;
+          }
+          this.plugin.settings.modelPrices[model] = { input: 0, output: 0 };
+          await this.plugin.saveSettings();
+          this.display();
+        })
+      );
+
+    new Setting(containerEl).setName('Prompt').setHeading();
+
+    new Setting(containerEl)
+      .setName('Prompt template')
+      .setDesc('Leave empty to use the built-in prompts (one of four wordings is picked at random). Variables: {{languages}} (one line per language with its level, topics, fields and extra instructions), {{history}} (recently used words per language), {{guidelines}} (difficulty guidance), {{schema}} (the JSON format to return; keep it so responses can be read), {{problems}} (issues with a previous answer, added at the end if omitted) and {{date}}. {{#history}}...{{/history}} only renders when there is history')
+      .addTextArea(text => {
+        text
+          .setPlaceholder(DEFAULT_PROMPT_VARIATIONS[0])
+          .setValue(this.plugin.settings.promptTemplate || '')
           .onChange(async (value) => {
-            this.plugin.settings.geminiApiKey = value;
+            this.plugin.settings.promptTemplate = value;
             await this.plugin.saveSettings();
-          })
-          .inputEl.type = 'password'
-        );
+          });
+        text.inputEl.rows = 10;
+        text.inputEl.cols = 40;
+      })
+      .addExtraButton(button => button
+        .setIcon('pencil')
+        .setTooltip('Edit a copy of the default prompt')
+        .onClick(async () => {
+          this.plugin.settings.promptTemplate = DEFAULT_PROMPT_VARIATIONS[0];
+          await this.plugin.saveSettings();
+          this.display();
+        })
+      )
+      .addExtraButton(button => button
+        .setIcon('reset')
+        .setTooltip('Reset to the built-in prompts')
+        .onClick(async () => {
+          this.plugin.settings.promptTemplate = '';
+          await this.plugin.saveSettings();
+          this.display();
+        })
+      );
 
-      const models = this.plugin.settings.availableModels.gemini.length > 0
-        ? this.plugin.settings.availableModels.gemini
-        : ['gemini-pro', 'gemini-1.5-pro', 'gemini-1.5-flash'];
+    new Setting(containerEl)
+      .setName('Preview prompt')
+      .setDesc('Show the requests that would be sent for the languages scheduled today and this week, split by provider and batch, as if none of their words had been generated yet. With the built-in prompt, each request uses one of four wordings picked at random; the preview always shows the first')
+      .addButton(button => button
+        .setButtonText('Preview')
+        .onClick(() => {
+          previewEl.setText(this.plugin.buildPromptPreview());
+          previewEl.show();
+        })
+      );
+    const previewEl = containerEl.createEl('pre');
+    previewEl.hide();
 
-      new Setting(containerEl)
-        .setName('Gemini model')
-        .setDesc('Select which Gemini model to use')
-        .addDropdown(dropdown => {
-          models.forEach(model => dropdown.addOption(model, model));
-          dropdown.setValue(this.plugin.settings.geminiModel || 'gemini-pro');
-          dropdown.onChange(async (value) => {
-            this.plugin.settings.geminiModel = value;
+    new Setting(containerEl).setName('Output').setHeading();
+
+    new Setting(containerEl)
+      .setName('Output template')
+      .setDesc(`Markdown used for the vocabulary block. Leave empty to use the built-in template, shown as the placeholder. Wrap per-word content in {{#words}}...{{/words}} and use {{language}}, {{word}}, {{link}}, {{definition}}, {{example}}, {{difficulty}}, {{index}}, {{typeName}} and the optional fields (${OPTIONAL_WORD_FIELDS.concat(CONTENT_TYPE_FIELDS).map(field => `{{${field.key}}}`).join(', ')}) inside it. {{#newLanguage}}...{{/newLanguage}} marks the first word of each language, and {{#feedback}}{{label}} {{marker}}{{/feedback}} renders the feedback checkboxes when they are enabled ({{feedbackEnabled}}). {{#field}}...{{/field}} shows its content only when the field is set, {{^field}}...{{/field}} only when it is empty. {{date}} (or {{date:FORMAT}}) works anywhere`)
+      .addTextArea(text => {
+        text
+          .setPlaceholder(DEFAULT_OUTPUT_TEMPLATE)
+          .setValue(this.plugin.settings.outputTemplate)
+          .onChange(async (value) => {
+            this.plugin.settings.outputTemplate = value;
             await this.plugin.saveSettings();
           });
+        text.inputEl.rows = 10;
+        text.inputEl.cols = 40;
+      })
+      .addExtraButton(button => button
+        .setIcon('reset')
+        .setTooltip('Reset to default')
+        .onClick(async () => {
+          this.plugin.settings.outputTemplate = '';
+          await this.plugin.saveSettings();
+          this.display();
         })
-        .addButton(button => button
-          .setButtonText('Refresh Models')
-          .setDisabled(false)
-          .onClick(async () => {
-            button.setDisabled(true);
-            button.setButtonText('Fetching...');
-            try {
-              await this.plugin.fetchGeminiModels();
-              new Notice('Gemini models updated!');
-              this.display();
-            } catch (error) {
-              button.setDisabled(false);
-              button.setButtonText('Refresh Models');
-            }
-          })
-        );
-    }
+      );
 
     new Setting(containerEl)
-      .setName('Auto-append to daily notes')
-      .setDesc('Automatically add words of the day to daily notes when they are created or opened')
+      .setName('Create a note for each word')
+      .setDesc('Create (or update) a note per word with frontmatter for language, difficulty, first seen date, definition and example. The daily note links to these notes')
       .addToggle(toggle => toggle
-        .setValue(this.plugin.settings.autoAppend)
+        .setValue(this.plugin.settings.wordNotesEnabled)
         .onChange(async (value) => {
-          this.plugin.settings.autoAppend = value;
+          this.plugin.settings.wordNotesEnabled = value;
           await this.plugin.saveSettings();
         })
       );
 
     new Setting(containerEl)
-      .setName('Temperature')
-      .setDesc('Controls creativity vs consistency (0.7-1.0). Higher = more varied/creative words, Lower = more predictable')
-      .addSlider(slider => slider
-        .setLimits(0.7, 1.0, 0.05)
-        .setValue(this.plugin.settings.temperature || 0.9)
-        .setDynamicTooltip()
+      .setName('Word notes folder')
+      .setDesc('Word notes are saved as <folder>/<language>/<word>.md')
+      .addText(text => text
+        .setPlaceholder('Vocabulary')
+        .setValue(this.plugin.settings.wordNotesFolder)
         .onChange(async (value) => {
-          this.plugin.settings.temperature = value;
+          this.plugin.settings.wordNotesFolder = value.trim();
           await this.plugin.saveSettings();
         })
       );
 
     new Setting(containerEl)
-      .setName('Word history limit')
-      .setDesc('Maximum number of previously used words to track per language (to avoid repetition)')
+      .setName('Native language')
+      .setDesc('Language used for definitions and translations of example sentences. Each language can override it in its options')
       .addText(text => text
-        .setPlaceholder('100')
-        .setValue(String(this.plugin.settings.wordHistoryLimit || 100))
+        .setPlaceholder('English')
+        .setValue(this.plugin.settings.nativeLanguage)
         .onChange(async (value) => {
-          const numValue = parseInt(value);
-          if (!isNaN(numValue) && numValue > 0) {
-            this.plugin.settings.wordHistoryLimit = numValue;
-            await this.plugin.saveSettings();
-          }
+          this.plugin.settings.nativeLanguage = value.trim();
+          await this.plugin.saveSettings();
         })
       );
 
@@ -735,8 +5610,34 @@ class WOTDSettingsTab extends PluginSettingTab {
     });
 
     this.plugin.settings.languages.forEach((lang, index) => {
+      const fieldNames = OPTIONAL_WORD_FIELDS
+        .filter(field => (lang.fields || []).includes(field.key))
+        .map(field => field.name);
+      const details = [];
+      const wordsPerDay = this.plugin.getWordsPerDay(lang);
+      if (wordsPerDay > 1 || (lang.schedule && lang.schedule !== 'daily')) {
+        const schedule = lang.schedule === 'days'
+          ? (lang.days || []).slice().sort().map(day => moment().isoWeekday(day).format('ddd')).join(', ') || 'No days selected'
+          : SCHEDULES[lang.schedule || 'daily'];
+        details.push(`${wordsPerDay} ${wordsPerDay === 1 ? 'word' : 'words'} · ${schedule}`);
+      }
+      if ((lang.topics || []).length > 0) {
+        details.push(`Topics: ${lang.topics.join(', ')}`);
+      }
+      if (lang.nativeLanguage) {
+        details.push(`Definitions in ${lang.nativeLanguage}`);
+      }
+      if (lang.provider) {
+        details.push(`Uses ${this.plugin.getProviderLabel(lang.provider)} (${lang.model || this.plugin.getActiveModel(lang.provider)})`);
+      }
+      if (fieldNames.length > 0) {
+        details.push(`Also includes: ${fieldNames.join(', ')}`);
+      }
+      const scale = this.plugin.getLevelScale(lang);
+
       const langSetting = new Setting(containerEl)
-        .setName(lang.name)
+        .setName(this.plugin.getEntryLabel(lang))
+        .setDesc(details.join(' · '))
         .addToggle(toggle => toggle
           .setValue(lang.enabled)
           .onChange(async (value) => {
@@ -744,15 +5645,23 @@ class WOTDSettingsTab extends PluginSettingTab {
             await this.plugin.saveSettings();
           })
         )
-        .addDropdown(dropdown => dropdown
-          .addOption('Beginner', 'Beginner')
-          .addOption('Intermediate', 'Intermediate')
-          .addOption('Advanced', 'Advanced')
-          .addOption('Fluent', 'Fluent')
-          .setValue(lang.difficulty)
-          .onChange(async (value) => {
-            this.plugin.settings.languages[index].difficulty = value;
-            await this.plugin.saveSettings();
+        .addDropdown(dropdown => {
+          scale.levels.forEach(level => dropdown.addOption(level.key, scale === LEVEL_SCALES.general ? level.key : `${scale.name} ${level.key}`));
+          if (!scale.levels.some(level => level.key === lang.difficulty)) {
+            dropdown.addOption(lang.difficulty, lang.difficulty);
+          }
+          dropdown
+            .setValue(lang.difficulty)
+            .onChange(async (value) => {
+              this.plugin.settings.languages[index].difficulty = value;
+              await this.plugin.saveSettings();
+            });
+        })
+        .addExtraButton(button => button
+          .setIcon('settings')
+          .setTooltip('Language options')
+          .onClick(() => {
+            new LanguageSettingsModal(this.app, this.plugin, lang, () => this.display()).open();
           })
         )
         .addButton(button => button
@@ -767,39 +5676,216 @@ class WOTDSettingsTab extends PluginSettingTab {
 
     new Setting(containerEl)
       .setName('Add language')
-      .setDesc('Add a new language to learn')
+      .setDesc('Add a new language to learn. Add the same language again with a different content type to learn both, e.g. Japanese words and kanji')
       .addText(text => {
         text.setPlaceholder('Language name (e.g., French)');
         this.newLanguageInput = text;
       })
+      .addDropdown(dropdown => {
+        Object.entries(CONTENT_TYPES).forEach(([key, type]) => dropdown.addOption(key, type.name));
+        dropdown.setValue('word');
+        this.newContentTypeInput = dropdown;
+      })
       .addButton(button => button
         .setButtonText('Add')
         .onClick(async () => {
           const languageName = this.newLanguageInput.getValue().trim();
+          const contentType = this.newContentTypeInput.getValue();
           if (languageName) {
             const exists = this.plugin.settings.languages.some(
-              lang => lang.name.toLowerCase() === languageName.toLowerCase()
+              lang => lang.name.toLowerCase() === languageName.toLowerCase() && getContentTypeKey(lang) === contentType
             );
             
             if (exists) {
-              new Notice('This language already exists');
+              new Notice(contentType === 'word'
+                ? 'This language already exists'
+                : `This language already has an entry for ${CONTENT_TYPES[contentType].name.toLowerCase()}`);
               return;
             }
 
             this.plugin.settings.languages.push({
               name: languageName,
+              scale: 'general',
               difficulty: 'Intermediate',
-              enabled: true
+              enabled: true,
+              fields: [],
+              topics: [],
+              nativeLanguage: '',
+              instructions: '',
+              provider: '',
+              model: '',
+              wordsPerDay: 1,
+              schedule: 'daily',
+              days: [],
+              contentType
             });
 
             await this.plugin.saveSettings();
             this.newLanguageInput.setValue('');
             this.display();
-            new Notice(`Added ${languageName}`);
+            new Notice(`Added ${this.plugin.getEntryLabel({ name: languageName, contentType })}`);
+          }
+        })
+      );
+
+    new Setting(containerEl).setName('Adaptive difficulty').setHeading();
+
+    new Setting(containerEl)
+      .setName('Adjust difficulty from feedback')
+      .setDesc('Raise or lower each language\'s level based on "Knew it", "Learned it" and "Too hard" ratings, within the bounds set in its options. Changes are logged in the language options')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.adaptiveDifficulty)
+        .onChange(async (value) => {
+          if (value && !this.plugin.settings.adaptiveDifficulty) {
+            this.plugin.settings.languages.forEach(lang => {
+              lang.levelProgress = 0;
+            });
+            this.plugin.history.forEach(record => {
+              delete record.feedbackCounted;
+            });
+            await this.plugin.saveHistory();
+          }
+          this.plugin.settings.adaptiveDifficulty = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(containerEl)
+      .setName('Ratings per level change')
+      .setDesc('Net number of "Knew it" (or "Too hard") ratings needed before the level moves up (or down)')
+      .addText(text => text
+        .setPlaceholder('3')
+        .setValue(String(this.plugin.settings.adaptiveThreshold || 3))
+        .onChange(async (value) => {
+          const numValue = parseInt(value);
+          if (!isNaN(numValue) && numValue > 0) {
+            this.plugin.settings.adaptiveThreshold = numValue;
+            await this.plugin.saveSettings();
+          }
+        })
+      );
+
+    new Setting(containerEl)
+      .setName('Feedback checkboxes')
+      .setDesc('Add "Knew it", "Learned it" and "Too hard" checkboxes under each word in the daily note. Ticking one rates the word. You can always rate words with "Rate today\'s words"')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.feedbackCheckboxes)
+        .onChange(async (value) => {
+          this.plugin.settings.feedbackCheckboxes = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(containerEl).setName('Quiz').setHeading();
+
+    new Setting(containerEl)
+      .setName('Questions per quiz')
+      .setDesc('Default number of questions for "Start vocabulary quiz"')
+      .addText(text => text
+        .setPlaceholder('10')
+        .setValue(String(this.plugin.settings.quizLength || 10))
+        .onChange(async (value) => {
+          const numValue = parseInt(value);
+          if (!isNaN(numValue) && numValue > 0) {
+            this.plugin.settings.quizLength = numValue;
+            await this.plugin.saveSettings();
           }
         })
       );
 
+    new Setting(containerEl)
+      .setName('AI-generated distractors')
+      .setDesc('Ask the AI provider for plausible wrong answers in multiple-choice questions instead of only using your other words')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.quizAiDistractors)
+        .onChange(async (value) => {
+          this.plugin.settings.quizAiDistractors = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(containerEl)
+      .setName('Add quiz summary to daily note')
+      .setDesc('Automatically write your score and missed words into today\'s daily note when a quiz ends')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.quizSummaryToDailyNote)
+        .onChange(async (value) => {
+          this.plugin.settings.quizSummaryToDailyNote = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(containerEl).setName('Word bank').setHeading();
+
+    new Setting(containerEl)
+      .setName('Word bank mode')
+      .setDesc('Draw words from local CSV, TSV or JSON word lists instead of, or as a backup for, the AI provider')
+      .addDropdown(dropdown => dropdown
+        .addOption('off', 'Off')
+        .addOption('fallback', 'Fallback when the AI fails')
+        .addOption('primary', 'Primary source')
+        .setValue(this.plugin.settings.wordBankMode)
+        .onChange(async (value) => {
+          this.plugin.settings.wordBankMode = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(containerEl)
+      .setName('Word bank folder')
+      .setDesc('Folder containing your word lists. Each needs language, word, definition and example columns; difficulty is optional')
+      .addText(text => text
+        .setPlaceholder('Word Bank')
+        .setValue(this.plugin.settings.wordBankFolder)
+        .onChange(async (value) => {
+          this.plugin.settings.wordBankFolder = value.trim();
+          await this.plugin.saveSettings();
+        })
+      )
+      .addButton(button => button
+        .setButtonText('Check')
+        .onClick(async () => {
+          const { entries, errors } = await this.plugin.loadWordBank();
+          const files = this.plugin.getWordBankFiles().length;
+          new Notice(`Word bank: ${entries.length} words in ${files} file${files === 1 ? '' : 's'}${errors.length > 0 ? `, ${errors.length} problems (see console)` : ''}`);
+        })
+      )
+      .addButton(button => button
+        .setButtonText('Import')
+        .onClick(() => this.plugin.importWordList())
+      );
+
+    new Setting(containerEl).setName('Review').setHeading();
+
+    const reviewCount = Object.values(this.plugin.settings.reviewItems || {})
+      .reduce((total, items) => total + Object.keys(items).length, 0);
+    containerEl.createEl('p', {
+      text: `${reviewCount} word${reviewCount === 1 ? '' : 's'} scheduled, ${this.plugin.getDueReviewItems().length} due today.`,
+      cls: 'setting-item-description'
+    });
+
+    new Setting(containerEl)
+      .setName('Schedule words for review')
+      .setDesc('Add each new word to a spaced-repetition schedule (SM-2). Use the "Review due words" command to grade your recall')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.reviewEnabled)
+        .onChange(async (value) => {
+          this.plugin.settings.reviewEnabled = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(containerEl)
+      .setName('Due words in daily note')
+      .setDesc('Add a "Due for review" section below the vocabulary callout listing the words due today')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.dueReviewInDailyNote)
+        .onChange(async (value) => {
+          this.plugin.settings.dueReviewInDailyNote = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
     new Setting(containerEl).setName('Instructions').setHeading();
     const instructionsDiv = containerEl.createDiv('setting-item-description');
     const instructionsList = instructionsDiv.createEl('ul');
@@ -825,12 +5911,25 @@ class WOTDSettingsTab extends PluginSettingTab {
         text: 'Google AI Studio',
         href: 'https://makersuite.google.com/app/apikey'
       });
+    } else if (this.plugin.settings.provider === 'custom') {
+      apiInstructionItem.appendText('local server running (e.g. ');
+      apiInstructionItem.createEl('a', {
+        text: 'Ollama',
+        href: 'https://ollama.com/'
+      });
+      apiInstructionItem.appendText(' or ');
+      apiInstructionItem.createEl('a', {
+        text: 'LM Studio',
+        href: 'https://lmstudio.ai/'
+      });
+      apiInstructionItem.appendText(') and point the endpoint URL at it');
     }
 
     instructionsList.createEl('li', { text: 'Toggle languages on/off using the switches' });
     instructionsList.createEl('li', { text: 'Set appropriate difficulty levels for each language' });
     instructionsList.createEl('li', { text: 'Words will automatically be added to your daily notes' });
     instructionsList.createEl('li', { text: 'Use Command Palette: "Word of the Day: Fetch words for all languages"' });
+    instructionsList.createEl('li', { text: 'Use Command Palette: "Word of the Day: Review due words" to practise past words' });
 
     new Setting(containerEl).setName('Model information').setHeading();
     const modelInfo = containerEl.createDiv('setting-item-description');